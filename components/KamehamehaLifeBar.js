@@ -3,9 +3,20 @@ import { useEffect, useState } from 'react';
 const KamehamehaLifeBar = ({ 
   gestureState = 'idle', 
   chargingProgress = 0, 
+  // The charging pose is lost: the charge drains until it comes back
+  draining = false,
   firingProgress = 0, 
   kamehamehaCount = 0,
-  isFullscreen = false 
+  finalFlashCount = 0,
+  spiritBombCount = 0,
+  specialBeamCannonCount = 0,
+  solarFlareCount = 0,
+  kiBlastCount = 0,
+  isFullscreen = false,
+  // Local multiplayer: one bar per player, each with its own position, color and label
+  anchor = '50%',
+  accentColor = '#F85B1A',
+  label = null
 }) => {
   const [isReady, setIsReady] = useState(false);
   const [pulseAnimation, setPulseAnimation] = useState(false);
@@ -51,7 +62,7 @@ const KamehamehaLifeBar = ({
       style={{
         position: isFullscreen ? 'fixed' : 'absolute',
         top: isFullscreen ? '30px' : '10px',
-        left: '50%',
+        left: anchor,
         transform: 'translateX(-50%)',
         width: 'auto',
         maxWidth: isFullscreen ? '90vw' : 'auto',
@@ -63,12 +74,25 @@ const KamehamehaLifeBar = ({
         backgroundColor: 'rgba(0, 0, 0, 0.8)',
         borderRadius: '25px',
         backdropFilter: 'blur(5px)',
-        border: '2px solid #F85B1A',
-        boxShadow: '0 4px 15px rgba(248, 91, 26, 0.4)',
+        border: `2px solid ${accentColor}`,
+        boxShadow: `0 4px 15px ${accentColor}66`,
         fontSize: isFullscreen ? '16px' : '14px',
         transition: 'all 0.3s ease',
       }}
     >
+      {/* Player label (multiplayer only) */}
+      {label && (
+        <span
+          style={{
+            color: accentColor,
+            fontWeight: 'bold',
+            textShadow: '1px 1px 2px rgba(0,0,0,0.7)',
+          }}
+        >
+          {label}
+        </span>
+      )}
+
       {/* Star Circle */}
       <div 
         className="star-circle"
@@ -170,7 +194,9 @@ const KamehamehaLifeBar = ({
                     left: 0,
                     width: isFilled ? '100%' : `${partialFillPercent}%`,
                     height: '100%',
-                    background: gestureState === 'charging'
+                    background: gestureState === 'charging' && draining
+                      ? 'linear-gradient(90deg, #8B0000, #B22222, #FF6B6B)'
+                      : gestureState === 'charging'
                       ? 'linear-gradient(90deg, #FF6B00, #F85B1A, #FFD700)'
                       : gestureState === 'firing'
                       ? 'linear-gradient(90deg, #FF0000, #FF6B00, #FFD700)'
@@ -179,7 +205,9 @@ const KamehamehaLifeBar = ({
                     boxShadow: isReady 
                       ? '0 0 8px #FFD700, inset 0 1px 2px rgba(255,255,255,0.3)' 
                       : '0 0 4px #F85B1A, inset 0 1px 2px rgba(255,255,255,0.3)',
-                    animation: isReady ? 'segmentGlow 1s infinite alternate' : 'none',
+                    animation: gestureState === 'charging' && draining
+                      ? 'segmentDrain 0.5s infinite alternate'
+                      : isReady ? 'segmentGlow 1s infinite alternate' : 'none',
                     transition: 'all 0.2s ease',
                   }}
                 />
@@ -192,10 +220,11 @@ const KamehamehaLifeBar = ({
       {/* Kamehameha Counter Badge */}
       <div 
         className="counter-badge"
+        title="Kamehameha"
         style={{
           minWidth: isFullscreen ? '32px' : '26px',
           height: isFullscreen ? '32px' : '26px',
-          backgroundColor: '#F85B1A',
+          backgroundColor: accentColor,
           border: '2px solid #FFD700',
           borderRadius: '50%',
           display: 'flex',
@@ -226,6 +255,116 @@ const KamehamehaLifeBar = ({
         />
       </div>
 
+      {/* Final Flash Counter Badge */}
+      <div 
+        className="counter-badge"
+        title="Final Flash"
+        style={{
+          minWidth: isFullscreen ? '32px' : '26px',
+          height: isFullscreen ? '32px' : '26px',
+          backgroundColor: '#FFC400',
+          border: '2px solid #FFF3B0',
+          borderRadius: '50%',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: '#3A2A00',
+          fontWeight: 'bold',
+          fontSize: isFullscreen ? '14px' : '12px',
+          boxShadow: '0 0 8px rgba(255, 196, 0, 0.5), inset 0 1px 3px rgba(255,255,255,0.2)',
+        }}
+      >
+        {finalFlashCount}
+      </div>
+
+      {/* Spirit Bomb Counter Badge */}
+      <div 
+        className="counter-badge"
+        title="Spirit Bomb"
+        style={{
+          minWidth: isFullscreen ? '32px' : '26px',
+          height: isFullscreen ? '32px' : '26px',
+          backgroundColor: '#4FC3F7',
+          border: '2px solid #E1F5FE',
+          borderRadius: '50%',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: '#01304A',
+          fontWeight: 'bold',
+          fontSize: isFullscreen ? '14px' : '12px',
+          boxShadow: '0 0 8px rgba(79, 195, 247, 0.5), inset 0 1px 3px rgba(255,255,255,0.2)',
+        }}
+      >
+        {spiritBombCount}
+      </div>
+
+      {/* Special Beam Cannon Counter Badge */}
+      <div 
+        className="counter-badge"
+        title="Special Beam Cannon"
+        style={{
+          minWidth: isFullscreen ? '32px' : '26px',
+          height: isFullscreen ? '32px' : '26px',
+          backgroundColor: '#9C27B0',
+          border: '2px solid #E1BEE7',
+          borderRadius: '50%',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: '#FFFFFF',
+          fontWeight: 'bold',
+          fontSize: isFullscreen ? '14px' : '12px',
+          boxShadow: '0 0 8px rgba(156, 39, 176, 0.5), inset 0 1px 3px rgba(255,255,255,0.2)',
+        }}
+      >
+        {specialBeamCannonCount}
+      </div>
+
+      {/* Solar Flare Counter Badge */}
+      <div 
+        className="counter-badge"
+        title="Solar Flare"
+        style={{
+          minWidth: isFullscreen ? '32px' : '26px',
+          height: isFullscreen ? '32px' : '26px',
+          backgroundColor: '#FFF59D',
+          border: '2px solid #FFFFFF',
+          borderRadius: '50%',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: '#5D4037',
+          fontWeight: 'bold',
+          fontSize: isFullscreen ? '14px' : '12px',
+          boxShadow: '0 0 8px rgba(255, 245, 157, 0.6), inset 0 1px 3px rgba(255,255,255,0.2)',
+        }}
+      >
+        {solarFlareCount}
+      </div>
+
+      {/* Ki Blast Counter Badge */}
+      <div 
+        className="counter-badge"
+        title="Ki Blast"
+        style={{
+          minWidth: isFullscreen ? '32px' : '26px',
+          height: isFullscreen ? '32px' : '26px',
+          backgroundColor: '#FFB300',
+          border: '2px solid #FFE082',
+          borderRadius: '50%',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: '#4E2600',
+          fontWeight: 'bold',
+          fontSize: isFullscreen ? '14px' : '12px',
+          boxShadow: '0 0 8px rgba(255, 179, 0, 0.5), inset 0 1px 3px rgba(255,255,255,0.2)',
+        }}
+      >
+        {kiBlastCount}
+      </div>
+
       {/* CSS Animations */}
       <style jsx>{`
         @keyframes starPulse {
@@ -248,6 +387,15 @@ const KamehamehaLifeBar = ({
           }
         }
         
+        @keyframes segmentDrain {
+          0% { 
+            opacity: 1;
+          }
+          100% { 
+            opacity: 0.4;
+          }
+        }
+        
         .kamehameha-lifebar:hover {
           transform: translateX(-50%) scale(1.02);
         }
@@ -0,0 +1,241 @@
+// Beam struggle for local multiplayer: two beams fired at each other meet at a clash point
+//
+// Each beam is a ray from the middle of its player's wrists (the fingertips for a one-hand
+// technique) along the firing direction, like KamehamehaEffects draws it. Two beams collide when each one points at
+// the other player's beam origin and together they are long enough to span the gap.
+// The clash point then sits on the line between both origins and is pushed toward the
+// weaker player: strength is the remaining firing time (how long they charged) weighted by
+// how steadily they hold the firing pose. When the clash point reaches a player, they lose.
+//
+// States: "idle" (no clash), "clashing", "resolved" (winner known, kept until both beams end).
+import { CoordinateSpace } from "./coordinateSpace.js";
+
+export const DEFAULT_STRUGGLE_OPTIONS = {
+  maxAimError: 35, // degrees between a beam and the direction to the other player's origin
+  pushSpeed: 0.35, // share of the distance between players per second, at full advantage
+  poseSmoothing: 500, // ms time constant for how steadily the firing pose is held
+  minPoseWeight: 0.3, // strength multiplier when the firing pose is not held at all
+  breakTime: 300, // ms the beams may stop colliding before the clash is called off
+};
+
+// Where a player's beam starts (video pixels), like KamehamehaEffects draws it: between the
+// wrists, or from the two fingertips of a one-hand technique (gestureData.activeHand)
+function beamOriginOf(gestureData) {
+  const hands = gestureData.activeHands;
+  if (hands && hands.length === 2) {
+    const wrists = hands.map((hand) => hand.keypoints.find((kp) => kp.name === "wrist"));
+    if (!wrists[0] || !wrists[1]) return null;
+    return { x: (wrists[0].x + wrists[1].x) / 2, y: (wrists[0].y + wrists[1].y) / 2 };
+  }
+  if (gestureData.activeHand) {
+    const tips = ["index_finger_tip", "middle_finger_tip"].map((name) =>
+      gestureData.activeHand.keypoints.find((kp) => kp.name === name)
+    );
+    if (!tips[0] || !tips[1]) return null;
+    return { x: (tips[0].x + tips[1].x) / 2, y: (tips[0].y + tips[1].y) / 2 };
+  }
+  return null;
+}
+
+// Beam origin (video pixels) and canvas angle for a firing player, or null (also for the
+// techniques that do not fire a beam, which cannot clash)
+export function getBeamRay(gestureData, coordinateSpace = new CoordinateSpace()) {
+  if (!gestureData || (gestureData.projectile && gestureData.projectile !== "beam")) return null;
+  const direction = gestureData.firingDirection;
+  const origin = direction ? beamOriginOf(gestureData) : null;
+  if (!origin) return null;
+
+  // Same angle as drawEnergyBeam: view-space direction converted back to the canvas
+  const viewAngle =
+    direction.vector3D
+      ? Math.atan2(direction.vector3D.y, direction.vector3D.x)
+      : direction.angle || 0;
+  const angle = coordinateSpace.fromViewAngle(viewAngle);
+
+  return {
+    origin,
+    direction: { x: Math.cos(angle), y: Math.sin(angle) },
+    angle,
+  };
+}
+
+// Whether two beams point at each other (within maxAimError degrees)
+export function beamsFaceEachOther(rayA, rayB, maxAimError = DEFAULT_STRUGGLE_OPTIONS.maxAimError) {
+  if (!rayA || !rayB) return false;
+  const dx = rayB.origin.x - rayA.origin.x;
+  const dy = rayB.origin.y - rayA.origin.y;
+  const distance = Math.hypot(dx, dy);
+  if (distance < 1) return false;
+
+  const minCos = Math.cos((maxAimError * Math.PI) / 180);
+  const aimA = (rayA.direction.x * dx + rayA.direction.y * dy) / distance;
+  const aimB = -(rayB.direction.x * dx + rayB.direction.y * dy) / distance;
+  return aimA >= minCos && aimB >= minCos;
+}
+
+export class BeamStruggle {
+  // coordinateSpace: shared with the detectors and effects, to read beam directions
+  constructor({ coordinateSpace = new CoordinateSpace(), ...options } = {}) {
+    this.coordinateSpace = coordinateSpace;
+    this.options = { ...DEFAULT_STRUGGLE_OPTIONS, ...options };
+    this.reset();
+  }
+
+  // contenders: [{ gestureData, beamLength }] for both players, beamLength being how far
+  // the beam has grown (KamehamehaEffects.getBeamLength). Returns the struggle data.
+  update(contenders, timestamp) {
+    const dt = this.lastTime === null ? 0 : Math.max(0, timestamp - this.lastTime) / 1000;
+    this.lastTime = timestamp;
+
+    const firing = contenders.map(({ gestureData }) => !!gestureData && gestureData.state === "firing");
+    const alpha = 1 - Math.exp((-dt * 1000) / this.options.poseSmoothing);
+    contenders.forEach(({ gestureData }, index) => {
+      if (!firing[index]) {
+        this.poseSteadiness[index] = 1; // Every beam starts at full steadiness
+        return;
+      }
+      // Exponential average of "firing pose held" over the last poseSmoothing ms
+      const held = gestureData.firingPose && gestureData.firingPose.passed ? 1 : 0;
+      this.poseSteadiness[index] += alpha * (held - this.poseSteadiness[index]);
+    });
+
+    const rays = contenders.map(({ gestureData }, index) =>
+      firing[index] ? getBeamRay(gestureData, this.coordinateSpace) : null
+    );
+    if (rays[0] && rays[1]) this.rays = rays;
+
+    if (this.state === "resolved") {
+      // Keep the result on screen until both beams are over
+      if (!firing[0] && !firing[1]) this.endClash();
+      return this.getStruggleData();
+    }
+
+    if (this.state === "idle") {
+      if (this.canClash(rays, contenders)) {
+        const [lengthA, lengthB] = contenders.map(({ beamLength }) => beamLength || 0);
+        this.state = "clashing";
+        this.position = lengthA + lengthB > 0 ? lengthA / (lengthA + lengthB) : 0.5;
+        this.lostSince = null;
+      }
+      return this.getStruggleData();
+    }
+
+    // Clashing
+    if (!firing[0] && !firing[1]) {
+      this.endClash(); // Both beams ended at the same time: a draw
+      return this.getStruggleData();
+    }
+    if (firing[0] && firing[1] && !beamsFaceEachOther(rays[0], rays[1], this.options.maxAimError)) {
+      // A player aimed away: give them a moment before calling the clash off
+      if (this.lostSince === null) this.lostSince = timestamp;
+      if (timestamp - this.lostSince >= this.options.breakTime) {
+        this.endClash();
+        return this.getStruggleData();
+      }
+    } else {
+      this.lostSince = null;
+    }
+
+    // A player whose beam has ended has no strength left
+    const strengths = contenders.map(({ gestureData }, index) =>
+      firing[index] ? this.strengthOf(gestureData, index) : 0
+    );
+    const total = strengths[0] + strengths[1];
+    if (total > 0) {
+      // Positive advantage pushes the clash point toward player 2
+      const advantage = (strengths[0] - strengths[1]) / total;
+      this.position += advantage * this.options.pushSpeed * dt;
+    }
+
+    if (this.position <= 0 || this.position >= 1) {
+      this.position = Math.min(1, Math.max(0, this.position));
+      this.state = "resolved";
+      this.loser = this.position <= 0 ? 0 : 1;
+      this.winner = 1 - this.loser;
+    }
+    return this.getStruggleData();
+  }
+
+  canClash(rays, contenders) {
+    if (!rays[0] || !rays[1]) return false;
+    if (!beamsFaceEachOther(rays[0], rays[1], this.options.maxAimError)) return false;
+    const distance = Math.hypot(
+      rays[1].origin.x - rays[0].origin.x,
+      rays[1].origin.y - rays[0].origin.y
+    );
+    const reach = contenders.reduce((sum, { beamLength }) => sum + (beamLength || 0), 0);
+    return reach >= distance;
+  }
+
+  // Remaining firing time in seconds, weighted by how steadily the firing pose is held
+  strengthOf(gestureData, index) {
+    const remaining = Math.max(
+      0,
+      (gestureData.allowedFiringDuration || 0) - (gestureData.currentFiringDuration || 0)
+    );
+    const { minPoseWeight } = this.options;
+    const poseWeight = minPoseWeight + (1 - minPoseWeight) * this.poseSteadiness[index];
+    return (remaining / 1000) * poseWeight;
+  }
+
+  // { state, position, clashPoint, clashAngle, beams, winner, loser }
+  // position: 0 at player 1's beam origin, 1 at player 2's.
+  // beams: per player, how KamehamehaEffects should draw the beam: { target } aims it at the
+  // clash point and stops it there, { hidden: true } when it has been overpowered.
+  getStruggleData() {
+    if (this.state === "idle" || !this.rays) {
+      return {
+        state: "idle",
+        position: null,
+        clashPoint: null,
+        beams: [{}, {}],
+        winner: null,
+        loser: null,
+      };
+    }
+
+    const [rayA, rayB] = this.rays;
+    const clashPoint = {
+      x: rayA.origin.x + (rayB.origin.x - rayA.origin.x) * this.position,
+      y: rayA.origin.y + (rayB.origin.y - rayA.origin.y) * this.position,
+    };
+
+    if (this.state === "resolved") {
+      // The winner's beam goes through, the loser's is swallowed
+      return {
+        state: this.state,
+        position: this.position,
+        clashPoint: null,
+        beams: [0, 1].map((index) => (index === this.loser ? { hidden: true } : {})),
+        winner: this.winner,
+        loser: this.loser,
+      };
+    }
+
+    return {
+      state: this.state,
+      position: this.position,
+      clashPoint,
+      // Direction from player 1's beam origin to player 2's, canvas radians
+      clashAngle: Math.atan2(rayB.origin.y - rayA.origin.y, rayB.origin.x - rayA.origin.x),
+      beams: [{ target: clashPoint }, { target: clashPoint }],
+      winner: null,
+      loser: null,
+    };
+  }
+
+  endClash() {
+    this.state = "idle";
+    this.position = 0.5;
+    this.rays = null;
+    this.lostSince = null;
+    this.winner = null;
+    this.loser = null;
+  }
+
+  reset() {
+    this.endClash();
+    this.lastTime = null;
+    this.poseSteadiness = [1, 1];
+  }
+}
@@ -0,0 +1,62 @@
+// Frame coordinates shared by KamehamehaDetector and KamehamehaEffects
+//
+// Two spaces are involved:
+// - video space: keypoints from estimateHands and canvas drawing coordinates, in video pixels
+// - view space: what the user sees on screen. When the view is mirrored (canvas flipped
+//   with CSS scaleX(-1), like a mirror), x runs the other way.
+// Beam directions exposed by the detector are in view space, so "right" means right on
+// screen; the effects convert them back to video space before drawing.
+
+export class CoordinateSpace {
+  constructor({ width = 640, height = 480, mirrored = true } = {}) {
+    this.width = width;
+    this.height = height;
+    this.mirrored = mirrored;
+  }
+
+  // Call when the real video resolution is known (e.g. after loadedmetadata)
+  setFrameSize(width, height) {
+    if (width > 0 && height > 0) {
+      this.width = width;
+      this.height = height;
+    }
+  }
+
+  setMirrored(mirrored) {
+    this.mirrored = !!mirrored;
+  }
+
+  // Video pixels → view pixels (mirroring is its own inverse, see fromView)
+  toView(point) {
+    return this.mirrored ? { ...point, x: this.width - point.x } : { ...point };
+  }
+
+  fromView(point) {
+    return this.toView(point);
+  }
+
+  // Directions only flip their x component, independent of the frame size
+  toViewVector(vector) {
+    return this.mirrored ? { ...vector, x: -vector.x } : { ...vector };
+  }
+
+  fromViewVector(vector) {
+    return this.toViewVector(vector);
+  }
+
+  // Angles in radians (canvas convention, y down), normalized to (-π, π]
+  toViewAngle(angle) {
+    return this.mirrored ? normalizeAngle(Math.PI - angle) : angle;
+  }
+
+  fromViewAngle(angle) {
+    return this.toViewAngle(angle);
+  }
+}
+
+function normalizeAngle(angle) {
+  let normalized = angle % (Math.PI * 2);
+  if (normalized <= -Math.PI) normalized += Math.PI * 2;
+  if (normalized > Math.PI) normalized -= Math.PI * 2;
+  return normalized;
+}
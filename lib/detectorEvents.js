@@ -0,0 +1,78 @@
+// Events emitted by KamehamehaDetector, for any number of subscribers
+//
+//   detector.on("fired", ({ power, direction }) => { ... }); // returns an unsubscribe function
+//
+// Every payload has `technique` (name of the technique, see lib/techniques/) and `timestamp`
+// (the frame's, in ms). Then, by event:
+//   stateChange          { from, to, reason, data }: any state change; data is the frame's
+//                        getGestureData(), the same on every path (hands lost included)
+//   positioningProgress  { progress, positioningDuration }: while positioning, when the
+//                        progress (0-1) toward charging changes
+//   chargeMilestone      { milestone, chargingDuration }: the charge reached 25, 50, 75 or
+//                        100% (each once per charge, in order)
+//   poseLost             { phase, pose }: the phase's pose was lost but the phase goes on
+//                        for its grace time
+//   poseRegained         { phase, pose, lostFor }: the pose came back within the grace time
+//                        (lostFor in ms)
+//   fired                { projectile, power, chargingDuration, allowedFiringDuration,
+//                        direction }: firing started; power is the charge (0-1, 0 for moves
+//                        without a charge) and direction the beam direction (view space)
+//   fizzled              { reason, chargingDuration }: a charge ended without firing
+//   firingEnded          { reason, firingDuration }: firing ended
+import { createLogger } from "./logger.js";
+
+export const DETECTOR_EVENTS = [
+  "stateChange",
+  "positioningProgress",
+  "chargeMilestone",
+  "poseLost",
+  "poseRegained",
+  "fired",
+  "fizzled",
+  "firingEnded",
+];
+
+export class DetectorEventEmitter {
+  constructor({ logger = createLogger().child("detector") } = {}) {
+    this.logger = logger;
+    this.listeners = new Map(DETECTOR_EVENTS.map((event) => [event, new Set()]));
+  }
+
+  // Calls `listener(payload)` on every `event`; returns a function that unsubscribes it
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`Listener for "${event}" must be a function`);
+    }
+    this.listenersOf(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listenersOf(event).delete(listener);
+  }
+
+  emit(event, payload) {
+    // A failing subscriber must not break detection nor the other subscribers
+    [...this.listenersOf(event)].forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (error) {
+        this.logger.error(`Error in "${event}" listener:`, error);
+      }
+    });
+  }
+
+  removeAllListeners() {
+    this.listeners.forEach((listeners) => listeners.clear());
+  }
+
+  listenersOf(event) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) {
+      throw new RangeError(
+        `Unknown detector event "${event}" (expected one of: ${DETECTOR_EVENTS.join(", ")})`
+      );
+    }
+    return listeners;
+  }
+}
@@ -0,0 +1,144 @@
+// Tunable thresholds and timings for KamehamehaDetector
+
+// Default values match the original detector behaviour at 30fps
+export const DEFAULT_DETECTOR_OPTIONS = {
+  minimumChargingTime: 5000, // ms of charging before firing is allowed
+  maxChargingTime: 20000, // ms of charging for max power
+  maxFiringDuration: 4000, // ms of firing at full charge, at most maxFiringTime
+  minFiringDuration: 1875, // ms of firing at minimum charge
+  positioningHoldTime: 500, // ms the pose must be held before charging
+  firingGraceTime: 170, // ms of lost firing pose before firing ends
+  chargeGraceTime: 1000, // ms of lost charging pose (or hands out of sight) before the charge is lost
+  chargeDrainRate: 2, // ms of charge drained per ms while the charging pose is lost
+  maxFiringTime: 4000, // ms after which firing always ends
+  chargingScoreThreshold: 3, // charging criteria (out of 6) required: the original ≥2, plus fingerSpread which could never pass before
+  firingScoreThreshold: 2, // firing criteria (out of 4) required
+  aimLockFrames: 0, // first beam frames that keep the charging aim (0: the beam follows the hands at once)
+};
+
+// Named difficulty presets, applied on top of the defaults
+export const DETECTOR_PRESETS = {
+  casual: {
+    minimumChargingTime: 3000,
+    maxChargingTime: 15000,
+    positioningHoldTime: 350,
+    firingGraceTime: 270,
+    chargeGraceTime: 1500,
+  },
+  strict: {
+    minimumChargingTime: 7000,
+    maxChargingTime: 25000,
+    positioningHoldTime: 1000,
+    firingGraceTime: 100,
+    chargeGraceTime: 300,
+    chargeDrainRate: 4,
+    chargingScoreThreshold: 5,
+    firingScoreThreshold: 3,
+  },
+  kids: {
+    minimumChargingTime: 2000,
+    maxChargingTime: 10000,
+    minFiringDuration: 1500,
+    positioningHoldTime: 270,
+    firingGraceTime: 330,
+    chargeGraceTime: 2000,
+    chargeDrainRate: 1,
+    chargingScoreThreshold: 2,
+    firingScoreThreshold: 1,
+  },
+};
+
+// Allowed range for each option (inclusive)
+const OPTION_RULES = {
+  minimumChargingTime: { min: 0, max: 60000, integer: false },
+  maxChargingTime: { min: 1, max: 120000, integer: false },
+  maxFiringDuration: { min: 1, max: 60000, integer: false },
+  minFiringDuration: { min: 0, max: 60000, integer: false },
+  positioningHoldTime: { min: 0, max: 10000, integer: false },
+  firingGraceTime: { min: 0, max: 5000, integer: false },
+  chargeGraceTime: { min: 0, max: 10000, integer: false },
+  chargeDrainRate: { min: 0, max: 20, integer: false },
+  maxFiringTime: { min: 1, max: 60000, integer: false },
+  chargingScoreThreshold: { min: 1, max: 6, integer: true },
+  firingScoreThreshold: { min: 1, max: 4, integer: true },
+  aimLockFrames: { min: 0, max: 300, integer: true },
+};
+
+// Merge defaults, an optional preset and explicit overrides, then validate.
+// Accepts either a preset name or an object such as { preset: "kids", maxChargingTime: 8000 }.
+export function resolveDetectorOptions(options = {}) {
+  if (typeof options === "string") {
+    options = { preset: options };
+  }
+  if (options === null || typeof options !== "object" || Array.isArray(options)) {
+    throw new TypeError("Detector options must be an object or a preset name");
+  }
+
+  const { preset, ...overrides } = options;
+
+  let presetValues = {};
+  if (preset !== undefined && preset !== null && preset !== "") {
+    if (!Object.prototype.hasOwnProperty.call(DETECTOR_PRESETS, preset)) {
+      throw new Error(
+        `Unknown detector preset "${preset}" (expected one of: ${Object.keys(
+          DETECTOR_PRESETS
+        ).join(", ")})`
+      );
+    }
+    presetValues = DETECTOR_PRESETS[preset];
+  }
+
+  Object.keys(overrides).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(OPTION_RULES, name)) {
+      throw new Error(`Unknown detector option "${name}"`);
+    }
+  });
+
+  const resolved = {
+    ...DEFAULT_DETECTOR_OPTIONS,
+    ...presetValues,
+    ...overrides,
+  };
+
+  validateDetectorOptions(resolved);
+  return resolved;
+}
+
+// Throw a descriptive error if any option is missing, mistyped or out of range
+export function validateDetectorOptions(options) {
+  Object.entries(OPTION_RULES).forEach(([name, rule]) => {
+    const value = options[name];
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new TypeError(
+        `Detector option "${name}" must be a finite number (got ${value})`
+      );
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      throw new RangeError(
+        `Detector option "${name}" must be an integer (got ${value})`
+      );
+    }
+    if (value < rule.min || value > rule.max) {
+      throw new RangeError(
+        `Detector option "${name}" must be between ${rule.min} and ${rule.max} (got ${value})`
+      );
+    }
+  });
+
+  if (options.minimumChargingTime > options.maxChargingTime) {
+    throw new RangeError(
+      `Detector option "minimumChargingTime" (${options.minimumChargingTime}) cannot exceed "maxChargingTime" (${options.maxChargingTime})`
+    );
+  }
+  if (options.minFiringDuration > options.maxFiringDuration) {
+    throw new RangeError(
+      `Detector option "minFiringDuration" (${options.minFiringDuration}) cannot exceed "maxFiringDuration" (${options.maxFiringDuration})`
+    );
+  }
+  // maxFiringTime ends every beam, so a longer full-charge beam could never happen
+  if (options.maxFiringDuration > options.maxFiringTime) {
+    throw new RangeError(
+      `Detector option "maxFiringDuration" (${options.maxFiringDuration}) cannot exceed "maxFiringTime" (${options.maxFiringTime})`
+    );
+  }
+}
@@ -0,0 +1,407 @@
+// Declarative gesture techniques and the generic engine that runs them
+//
+// A technique is plain data (see lib/techniques/): named poses, each a weighted list of
+// criteria over the hands' keypoints with a score threshold, and phases that say which
+// pose keeps a phase alive, how long it must be held, how it ends and what comes next.
+// GestureEngine runs any technique with the same state machine, so a new move is a new
+// definition rather than new branches in the detector.
+//
+// Technique:
+//   name
+//   projectile         what firing releases: "beam" (default), "sphere" (thrown), "flash"
+//                      (full screen) or "blast" (small ball flying on its own), for
+//                      KamehamehaEffects and the beam struggle
+//   priority           which technique starts when several start on the same frame (higher
+//                      first, 0 by default, then the detector's list order)
+//   chargeTime         ms of charging for a full charge (maxChargingTime option by default)
+//   faceKeypoints      FaceMesh keypoint indices the poses read, for techniques that use the
+//                      face: faces are only estimated while such a technique could start or
+//                      is under way, and recordings keep these keypoints
+//   poses: { [pose]: {
+//     hands            2 (default): evaluated on the gesture's pair; 1: on a single hand, the
+//                      best of those in frame, then the one that started the gesture
+//     threshold        score needed (number, or the name of a detector option)
+//     requiredKeypoints keypoint names the hands need, otherwise the pose fails
+//     prepare(context) extra context shared by the criteria (e.g. a derived point)
+//     criteria: [{ name, weight = 1, required, unit, expected, measure(context) | evaluate(context) }]
+//                      a required criterion must pass whatever the score
+//   } }
+//   start: { pose, phase }   idle → phase when the pose is held
+//   phases: { [phase]: {
+//     pose          pose that keeps the phase alive; without one the phase runs on its own,
+//                   hands or not, until maxDuration (e.g. a thrown projectile in flight)
+//     holdTime      ms the pose must be held before moving on to `next`
+//     maxDuration   ms after which the phase ends in `onTimeout` (idle by default)
+//     release       { pose, minDuration, phase }: when the phase pose is lost, another pose
+//                   held after at least minDuration ms of the phase moves on to `phase`
+//     graceTime     ms the pose may be lost before the phase ends (ends at once otherwise)
+//     drainRate     with graceTime: the hold drains while the pose is lost, by this many ms
+//                   per ms, and builds up again from there when it comes back (instead of
+//                   counting from the start of the phase). The phase ends when it is empty,
+//                   and at once when the release pose is held too early.
+//     onLost        phase when the pose is lost (idle by default)
+//   } }
+//   onEnter: { [phase]: (detector, frame, engine) }  bookkeeping when a phase starts
+//   onFrame: { [phase]: (detector, frame, engine) }  every frame the phase goes on; frame.held
+// engine.state is a scratch object for the technique (e.g. a reference measured when a
+// phase starts), given to criteria as context.state and cleared when the gesture ends.
+// Durations may be numbers, detector option names or functions of the detector.
+//
+// measure returns a number or an object of named numbers, checked against `expected`
+// ({ min, max } or the same shape; null bounds are open). evaluate returns
+// { passed, value[, reason] } for criteria that need their own check.
+
+// Unit reported for values measured in hand sizes
+export const HAND_UNIT = "hand";
+
+// Pose context given to criteria. Keypoints are normalized to the pair: origin at the middle
+// of the wrists, unit = average hand size, video axes (y down), so angles are unchanged and
+// distances read directly in hand sizes.
+//   left, right   the two hands (video pixels), as returned by detector.identifyHands
+//   points        normalized keypoints by name: points.left.wrist, points.right.thumb_tip
+//   normalize(p)  converts another video-pixel point the same way
+//   scale         hand size in pixels
+//   detector      the detector running the technique, for its measurement helpers
+//                 (detector.shouting: whether the player is shouting, see lib/shoutDetector.js)
+//   state         the technique's scratch object (GestureEngine.state)
+//   faces         face landmarks in the frame (video pixels), see KamehamehaDetector.detectGesture
+export function createPoseContext(detector, leftHand, rightHand, state = {}) {
+  const leftWrist = leftHand.keypoints.find((kp) => kp.name === "wrist");
+  const rightWrist = rightHand.keypoints.find((kp) => kp.name === "wrist");
+  const origin =
+    leftWrist && rightWrist
+      ? { x: (leftWrist.x + rightWrist.x) / 2, y: (leftWrist.y + rightWrist.y) / 2 }
+      : { x: 0, y: 0 };
+  const scale = detector.getPairScale(leftHand, rightHand);
+  const normalize = (point) => ({
+    x: (point.x - origin.x) / scale,
+    y: (point.y - origin.y) / scale,
+  });
+  const pointsOf = (hand) =>
+    Object.fromEntries(
+      hand.keypoints.filter((kp) => kp.name).map((kp) => [kp.name, normalize(kp)])
+    );
+
+  return {
+    left: leftHand,
+    right: rightHand,
+    points: { left: pointsOf(leftHand), right: pointsOf(rightHand) },
+    normalize,
+    scale,
+    detector,
+    state,
+    faces: detector.currentFaces || [],
+  };
+}
+
+// Pose context for one-hand poses: the same, for `hand`, with the origin at its wrist and
+// its own size as the unit (points.wrist, points.index_finger_tip)
+export function createHandContext(detector, hand, state = {}) {
+  const wrist = hand.keypoints.find((kp) => kp.name === "wrist") || { x: 0, y: 0 };
+  const scale = detector.getHandScale(hand);
+  const normalize = (point) => ({
+    x: (point.x - wrist.x) / scale,
+    y: (point.y - wrist.y) / scale,
+  });
+
+  return {
+    hand,
+    points: Object.fromEntries(
+      hand.keypoints.filter((kp) => kp.name).map((kp) => [kp.name, normalize(kp)])
+    ),
+    normalize,
+    scale,
+    detector,
+    state,
+    faces: detector.currentFaces || [],
+  };
+}
+
+// Distance between two points and direction from one to the other, in degrees
+export const distanceBetween = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+export const angleBetween = (from, to) => (Math.atan2(to.y - from.y, to.x - from.x) * 180) / Math.PI;
+
+// Whether a measurement fits its expected range, walking objects of named measurements
+export function withinExpected(value, expected) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === "number") {
+    if (Number.isNaN(value)) return false;
+    const { min = null, max = null } = expected;
+    return (min === null || value >= min) && (max === null || value <= max);
+  }
+  return Object.keys(expected).every((key) => withinExpected(value[key], expected[key]));
+}
+
+function evaluateCriterion(criterion, context) {
+  const { name, unit = null } = criterion;
+  if (criterion.evaluate) {
+    const { passed, value, reason } = criterion.evaluate(context);
+    return {
+      name,
+      passed: !!passed,
+      value,
+      expected: criterion.expected,
+      unit,
+      ...(reason !== undefined ? { reason } : {}),
+    };
+  }
+  const value = criterion.measure(context);
+  return { name, passed: withinExpected(value, criterion.expected), value, expected: criterion.expected, unit };
+}
+
+export class GestureEngine {
+  // detector: provides options, logger, identifyHands and getPairScale (KamehamehaDetector)
+  constructor(technique, detector) {
+    ["poses", "start", "phases"].forEach((key) => {
+      if (!technique || !technique[key]) {
+        throw new TypeError(`Gesture technique is missing "${key}"`);
+      }
+    });
+    Object.entries(technique.phases).forEach(([phase, spec]) => {
+      if (spec.pose !== undefined && !technique.poses[spec.pose]) {
+        throw new TypeError(`Phase "${phase}" of ${technique.name} uses unknown pose "${spec.pose}"`);
+      }
+    });
+    this.technique = technique;
+    this.detector = detector;
+    this.poseResults = {}; // Last known pass/fail per pose, for logging changes only
+    this.reset();
+  }
+
+  // Number, detector option name or function of the detector
+  resolve(value) {
+    if (typeof value === "function") return value(this.detector);
+    if (typeof value === "string") return this.detector.options[value];
+    return value;
+  }
+
+  // Score breakdown { score, maxScore, threshold, passed, criteria[, reason] } of a pose,
+  // or null when there are no hands to evaluate it on. One-hand poses also give the `hand`
+  // they were evaluated on.
+  evaluatePose(poseName, hands) {
+    const pose = this.technique.poses[poseName];
+    if (!pose) throw new RangeError(`Unknown pose "${poseName}" in ${this.technique.name}`);
+
+    let analysis = null;
+    if ((pose.hands || 2) === 1) {
+      // Once a gesture has started, only the hand that started it counts
+      const candidates = (hands || []).filter(
+        (hand) => this.handTrackId === null || hand.trackId === this.handTrackId
+      );
+      candidates.forEach((hand) => {
+        const result = {
+          ...this.scorePose(poseName, [hand], () => createHandContext(this.detector, hand, this.state)),
+          hand,
+        };
+        if (
+          !analysis ||
+          (result.passed && !analysis.passed) ||
+          (result.passed === analysis.passed && result.score > analysis.score)
+        ) {
+          analysis = result;
+        }
+      });
+    } else {
+      if (!hands || hands.length !== 2) return null;
+      const [leftHand, rightHand] = this.detector.identifyHands(hands);
+      if (!leftHand || !rightHand) return null;
+      analysis = this.scorePose(poseName, [leftHand, rightHand], () =>
+        createPoseContext(this.detector, leftHand, rightHand, this.state)
+      );
+    }
+    if (!analysis) return null;
+
+    // Only log when the pose is gained or lost, not every frame
+    const { passed, score, maxScore, threshold } = analysis;
+    if (passed !== !!this.poseResults[poseName]) {
+      this.detector.logger.debug(
+        `${passed ? "✅" : "❌"} ${poseName.toUpperCase()} POSE ${passed ? "DETECTED" : "LOST"} - Score ${score}/${maxScore} (need ≥${threshold})`
+      );
+    }
+    this.poseResults[poseName] = passed;
+    return analysis;
+  }
+
+  // Criteria of a pose on the given hands; createContext builds their pose context
+  scorePose(poseName, hands, createContext) {
+    const pose = this.technique.poses[poseName];
+    const maxScore = pose.criteria.reduce((sum, { weight = 1 }) => sum + weight, 0);
+    const threshold = this.resolve(pose.threshold);
+    const missing = (pose.requiredKeypoints || []).some((name) =>
+      hands.some((hand) => !hand.keypoints.some((kp) => kp.name === name))
+    );
+    if (missing) {
+      this.detector.logger.trace(`🔍 ${this.technique.name}: missing keypoints for the ${poseName} pose`);
+      return { score: 0, maxScore, threshold, passed: false, criteria: [], reason: "missing keypoints" };
+    }
+
+    let context = createContext();
+    if (pose.prepare) context = { ...context, ...pose.prepare(context) };
+
+    let score = 0;
+    let requiredPassed = true;
+    const criteria = pose.criteria.map((criterion) => {
+      const result = evaluateCriterion(criterion, context);
+      if (result.passed) score += criterion.weight ?? 1;
+      else if (criterion.required) requiredPassed = false;
+      return criterion.required ? { ...result, required: true } : result;
+    });
+    return { score, maxScore, threshold, passed: requiredPassed && score >= threshold, criteria };
+  }
+
+  // Whether a pose is held in the current frame; each pose is evaluated at most once per frame
+  isPoseHeld(poseName) {
+    if (!(poseName in this.poseAnalyses)) {
+      this.poseAnalyses[poseName] = this.evaluatePose(poseName, this.frame.hands);
+    }
+    const analysis = this.poseAnalyses[poseName];
+    return !!analysis && analysis.passed;
+  }
+
+  // Advance the state machine by one frame. Returns { from, to, reason } when the phase
+  // changed, null otherwise. Pose breakdowns evaluated this frame are in poseAnalyses.
+  step(hands, timestamp) {
+    this.frame = { hands, timestamp, held: false };
+    this.poseAnalyses = {};
+
+    if (this.phase === "idle") {
+      return this.isPoseHeld(this.technique.start.pose) ? this.start() : null;
+    }
+
+    const spec = this.technique.phases[this.phase];
+    const elapsed = timestamp - this.phaseStartTime;
+    const sinceLastStep = timestamp - this.lastStepTime;
+    this.lastStepTime = timestamp;
+    const drains = spec.drainRate !== undefined;
+    const held = spec.pose === undefined || this.isPoseHeld(spec.pose);
+    this.frame.held = held;
+
+    if (held) {
+      this.poseLostTime = null;
+      this.heldDuration = drains ? this.heldDuration + sinceLastStep : elapsed;
+    } else {
+      const { release } = spec;
+      if (
+        release &&
+        this.isPoseHeld(release.pose) &&
+        this.heldDuration >= this.resolve(release.minDuration ?? 0)
+      ) {
+        return this.enter(release.phase, `${release.pose} pose after ${this.heldDuration}ms`);
+      }
+      // Releasing too early is deliberate, not a pose lost for a moment
+      if (spec.graceTime === undefined || (drains && release && this.isPoseHeld(release.pose))) {
+        return this.enter(spec.onLost || "idle", `lost ${spec.pose} pose after ${this.heldDuration}ms`);
+      }
+      if (this.poseLostTime === null) this.poseLostTime = timestamp;
+      if (drains) {
+        const drainRate = this.resolve(spec.drainRate);
+        this.heldDuration = Math.max(0, this.heldDuration - sinceLastStep * drainRate);
+        if (drainRate > 0 && this.heldDuration === 0) {
+          return this.enter(spec.onLost || "idle", `${spec.pose} pose lost - drained`);
+        }
+      }
+    }
+
+    const onFrame = this.technique.onFrame && this.technique.onFrame[this.phase];
+    if (onFrame) onFrame(this.detector, this.frame, this);
+
+    const holdTime = spec.holdTime === undefined ? null : this.resolve(spec.holdTime);
+    const maxDuration = spec.maxDuration === undefined ? null : this.resolve(spec.maxDuration);
+    if (held && holdTime !== null && this.heldDuration >= holdTime) {
+      return this.enter(spec.next, `held ${this.heldDuration}ms`);
+    }
+    if (maxDuration !== null && elapsed >= maxDuration) {
+      return this.enter(spec.onTimeout || "idle", `max duration reached: ${elapsed}ms/${maxDuration}ms`);
+    }
+    if (
+      this.poseLostTime !== null &&
+      timestamp - this.poseLostTime >= this.resolve(spec.graceTime)
+    ) {
+      return this.enter(spec.onLost || "idle", `${spec.pose} pose lost - grace period elapsed`);
+    }
+    return null;
+  }
+
+  // Whether heldDuration is going down: the phase's pose is lost and the phase drains
+  // (drainRate above 0) while waiting for it to come back
+  isDraining() {
+    const spec = this.technique.phases[this.phase];
+    return (
+      !!spec &&
+      this.poseLostTime !== null &&
+      spec.drainRate !== undefined &&
+      this.resolve(spec.drainRate) > 0
+    );
+  }
+
+  // While idle, whether the starting pose is held in this frame, without starting: lets the
+  // caller choose among several techniques before any onEnter hook runs
+  detectStart(hands, timestamp) {
+    this.frame = { hands, timestamp, held: false };
+    this.poseAnalyses = {};
+    return this.isPoseHeld(this.technique.start.pose);
+  }
+
+  // Leave idle on a frame the starting pose is held (step, or after detectStart)
+  start() {
+    const { pose, phase } = this.technique.start;
+    // A one-hand technique follows the hand that started it (untracked hands: the best one)
+    const { hand } = this.poseAnalyses[pose];
+    this.handTrackId = hand && hand.trackId !== undefined ? hand.trackId : null;
+    return this.enter(phase, "pose detected");
+  }
+
+  usesFaces() {
+    return (this.technique.faceKeypoints || []).length > 0;
+  }
+
+  // Whether this frame's poses may read the face: while idle (the starting pose) and in
+  // phases with a pose
+  needsFaces() {
+    return this.usesFaces() && this.needsHands();
+  }
+
+  // Whether the current phase depends on the hands (idle looks for the starting pose)
+  needsHands() {
+    return this.phase === "idle" || this.technique.phases[this.phase].pose !== undefined;
+  }
+
+  // Whether the current phase waits graceTime for its pose to come back rather than ending
+  // as soon as it is lost, even with no hands in frame
+  waitsForPose() {
+    return this.phase !== "idle" && this.technique.phases[this.phase].graceTime !== undefined;
+  }
+
+  enter(phase, reason) {
+    if (phase !== "idle" && !this.technique.phases[phase]) {
+      throw new RangeError(`Unknown phase "${phase}" in ${this.technique.name}`);
+    }
+    const from = this.phase;
+    this.phase = phase;
+    this.phaseStartTime = this.frame.timestamp;
+    this.lastStepTime = this.frame.timestamp;
+    this.heldDuration = 0;
+    this.poseLostTime = null;
+    if (phase === "idle") {
+      this.state = {};
+      this.handTrackId = null;
+    }
+
+    const onEnter = this.technique.onEnter && this.technique.onEnter[phase];
+    if (onEnter) onEnter(this.detector, this.frame, this);
+    return { from, to: phase, reason };
+  }
+
+  // Back to idle without running any hook (e.g. no hands in frame)
+  reset(timestamp = 0) {
+    this.phase = "idle";
+    this.phaseStartTime = timestamp;
+    this.lastStepTime = timestamp; // Timestamp of the last step, for draining phases
+    this.heldDuration = 0; // How long the phase pose has been held, as of its last held frame
+    this.poseLostTime = null; // When the pose was lost, during a grace period
+    this.state = {};
+    this.handTrackId = null; // trackId of the hand a one-hand technique follows
+    this.frame = { hands: null, timestamp, held: false };
+    this.poseAnalyses = {};
+  }
+}
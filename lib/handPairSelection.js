@@ -0,0 +1,113 @@
+// Choosing the two hands of the gesture when more than two are detected
+//
+// estimateHands is asked for up to four hands, so a bystander's hand can be in frame.
+// Every candidate pair gets a cost from wrist proximity (in hand sizes), size similarity
+// (one person's hands are at about the same depth, so they look about the same size) and
+// handedness (one left and one right hand). The cheapest pair wins; while a gesture is in
+// progress the chosen pair is kept so another hand entering the frame cannot take over.
+
+export const DEFAULT_PAIR_SELECTION_OPTIONS = {
+  maxWristDistance: 6, // hand sizes; hands farther apart are not considered a pair
+  sizeWeight: 4, // cost per unit of log size ratio (×2 size difference ≈ 2.8 hand sizes)
+  sameHandednessPenalty: 2, // cost added when both hands have the same handedness label
+  maxMatchDistance: 2, // hand sizes; how far an untracked hand may move and still be the same hand
+};
+
+const wristOf = (hand) => hand.keypoints.find((kp) => kp.name === "wrist");
+
+// Cost of treating two hands as the gesture's pair (lower is better, Infinity when implausible).
+// getHandScale: hand size in pixels, KamehamehaDetector.getHandScale
+export function scoreHandPair(handA, handB, getHandScale, options = DEFAULT_PAIR_SELECTION_OPTIONS) {
+  const wristA = wristOf(handA);
+  const wristB = wristOf(handB);
+  if (!wristA || !wristB) return Infinity;
+
+  const sizeA = getHandScale(handA);
+  const sizeB = getHandScale(handB);
+  const distance =
+    Math.hypot(wristA.x - wristB.x, wristA.y - wristB.y) / ((sizeA + sizeB) / 2);
+  if (distance > options.maxWristDistance) return Infinity;
+
+  const sizeCost = Math.abs(Math.log(sizeA / sizeB)) * options.sizeWeight;
+  const handednessCost =
+    handA.handedness && handA.handedness === handB.handedness
+      ? options.sameHandednessPenalty
+      : 0;
+  return distance + sizeCost + handednessCost;
+}
+
+export class HandPairSelector {
+  // getHandScale: hand size in pixels, shared with the detector so both use the same unit
+  constructor(getHandScale, options = {}) {
+    this.getHandScale = getHandScale;
+    this.options = { ...DEFAULT_PAIR_SELECTION_OPTIONS, ...options };
+    this.pair = null; // Last selected pair
+  }
+
+  // Returns the hands the detector should look at: the selected pair, or fewer hands when
+  // no pair is available. keepPair: true while a gesture is in progress, so the previous
+  // pair is kept and only its still-visible hands are returned when one of them is missing.
+  select(hands, keepPair = false) {
+    if (!hands || hands.length === 0) return hands;
+
+    if (keepPair && this.pair) {
+      const visible = this.pair
+        .map((hand) => this.findSameHand(hands, hand))
+        .filter(Boolean);
+      if (visible.length === 2 && visible[0] !== visible[1]) {
+        this.pair = visible;
+        return visible;
+      }
+      // A hand of the pair is missing: the gesture sees only what is left of it
+      return visible.slice(0, 1);
+    }
+
+    if (hands.length <= 2) {
+      this.pair = hands.length === 2 ? hands : null;
+      return hands;
+    }
+
+    let bestPair = null;
+    let bestCost = Infinity;
+    for (let i = 0; i < hands.length; i++) {
+      for (let j = i + 1; j < hands.length; j++) {
+        const cost = scoreHandPair(hands[i], hands[j], this.getHandScale, this.options);
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestPair = [hands[i], hands[j]];
+        }
+      }
+    }
+    this.pair = bestPair;
+    return bestPair || [];
+  }
+
+  // The hand in this frame that is the same as a hand of the previous pair:
+  // same trackId (see HandTracker), otherwise the nearest wrist
+  findSameHand(hands, previousHand) {
+    if (previousHand.trackId !== undefined && previousHand.trackId !== null) {
+      return hands.find((hand) => hand.trackId === previousHand.trackId) || null;
+    }
+
+    const previousWrist = wristOf(previousHand);
+    if (!previousWrist) return null;
+    let closest = null;
+    let closestDistance = this.options.maxMatchDistance;
+    hands.forEach((hand) => {
+      const wrist = wristOf(hand);
+      if (!wrist) return;
+      const distance =
+        Math.hypot(wrist.x - previousWrist.x, wrist.y - previousWrist.y) /
+        this.getHandScale(previousHand);
+      if (distance <= closestDistance) {
+        closest = hand;
+        closestDistance = distance;
+      }
+    });
+    return closest;
+  }
+
+  reset() {
+    this.pair = null;
+  }
+}
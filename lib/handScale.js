@@ -0,0 +1,20 @@
+// Hand size, the unit for pose distances
+//
+// Distances are measured in hand sizes (wrist → middle finger MCP length) so the checks
+// behave the same at any camera resolution and distance. Shared by the detector and the
+// pipeline stages before it (tracking, smoothing), which should not have to load the
+// detector for it.
+
+// The original pixel thresholds were tuned for a hand size of about 60px in a 640x480 frame
+export const REFERENCE_HAND_SCALE = 60;
+
+// Size of a hand in pixels (wrist → middle finger MCP). Falls back to REFERENCE_HAND_SCALE
+// when the keypoints are missing or degenerate.
+export function getHandScale(hand) {
+  const wrist = hand && hand.keypoints.find((kp) => kp.name === "wrist");
+  const middleMcp = hand && hand.keypoints.find((kp) => kp.name === "middle_finger_mcp");
+  if (!wrist || !middleMcp) return REFERENCE_HAND_SCALE;
+
+  const length = Math.hypot(middleMcp.x - wrist.x, middleMcp.y - wrist.y);
+  return length > 1 ? length : REFERENCE_HAND_SCALE;
+}
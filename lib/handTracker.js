@@ -0,0 +1,166 @@
+// Stable hand identities across frames
+//
+// estimateHands returns hands in no particular order. HandTracker matches them to the
+// hands of previous frames (predicted wrist position, with the model's handedness label as
+// a tie-breaker) and annotates each with a persistent trackId and a role:
+// "left" / "right" for the pair being tracked (smaller / larger video x when the pair
+// forms), null for extra hands. Roles then stick to the hands, so crossing or briefly
+// overlapping hands no longer swap sides.
+import { getHandScale } from "./handScale.js";
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  maxGap: 2000, // ms a hand may be missing and still keep its identity (covers chargeGraceTime)
+  maxPrediction: 100, // ms a missing hand is assumed to keep moving at its last velocity
+  maxJump: 3, // hand sizes a wrist may move (beyond the predicted position) between frames
+  handednessPenalty: 1.5, // cost multiplier when the handedness label disagrees with the track
+};
+
+const wristOf = (hand) => hand.keypoints.find((kp) => kp.name === "wrist");
+
+export class HandTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  // Returns copies of the hands (same order) with trackId and role added
+  update(hands, timestamp) {
+    this.tracks = this.tracks.filter(
+      (track) => timestamp - track.lastSeen <= this.options.maxGap
+    );
+    if (!hands || hands.length === 0) return hands;
+
+    const assignments = this.matchTracks(hands, timestamp);
+    const seenTracks = hands.map((hand, index) => {
+      const track = assignments[index] || this.createTrack();
+      this.updateTrack(track, hand, timestamp);
+      return track;
+    });
+    this.assignRoles(seenTracks);
+
+    return hands.map((hand, index) => ({
+      ...hand,
+      trackId: seenTracks[index].id,
+      role: seenTracks[index].role,
+    }));
+  }
+
+  createTrack() {
+    const track = {
+      id: this.nextId++,
+      role: null,
+      handednessVotes: {},
+      wrist: null,
+      velocity: { x: 0, y: 0 }, // px per ms
+      lastSeen: 0,
+    };
+    this.tracks.push(track);
+    return track;
+  }
+
+  // Most frequent handedness label seen for this track
+  trackHandedness(track) {
+    let best = null;
+    Object.entries(track.handednessVotes).forEach(([label, votes]) => {
+      if (!best || votes > track.handednessVotes[best]) best = label;
+    });
+    return best;
+  }
+
+  updateTrack(track, hand, timestamp) {
+    const wrist = wristOf(hand);
+    if (wrist) {
+      if (track.wrist && timestamp > track.lastSeen) {
+        const dt = timestamp - track.lastSeen;
+        // Smoothed velocity for predicting where the hand will be next frame
+        track.velocity = {
+          x: track.velocity.x * 0.5 + ((wrist.x - track.wrist.x) / dt) * 0.5,
+          y: track.velocity.y * 0.5 + ((wrist.y - track.wrist.y) / dt) * 0.5,
+        };
+      }
+      track.wrist = { x: wrist.x, y: wrist.y };
+    }
+    if (hand.handedness) {
+      track.handednessVotes[hand.handedness] =
+        (track.handednessVotes[hand.handedness] || 0) + 1;
+    }
+    track.lastSeen = timestamp;
+  }
+
+  // Greedy matching on distance to the predicted wrist position, in hand sizes
+  matchTracks(hands, timestamp) {
+    const pairs = [];
+    hands.forEach((hand, handIndex) => {
+      const wrist = wristOf(hand);
+      if (!wrist) return;
+      const handSize = getHandScale(hand);
+      this.tracks.forEach((track) => {
+        if (!track.wrist) return;
+        const dt = Math.min(timestamp - track.lastSeen, this.options.maxPrediction);
+        const predicted = {
+          x: track.wrist.x + track.velocity.x * dt,
+          y: track.wrist.y + track.velocity.y * dt,
+        };
+        const distance =
+          Math.hypot(wrist.x - predicted.x, wrist.y - predicted.y) / handSize;
+        if (distance > this.options.maxJump) return;
+
+        const handedness = this.trackHandedness(track);
+        const cost =
+          handedness && hand.handedness && handedness !== hand.handedness
+            ? (distance + 0.1) * this.options.handednessPenalty
+            : distance;
+        pairs.push({ handIndex, track, cost });
+      });
+    });
+    pairs.sort((a, b) => a.cost - b.cost);
+
+    const assignments = [];
+    const usedTracks = new Set();
+    pairs.forEach(({ handIndex, track }) => {
+      if (assignments[handIndex] || usedTracks.has(track)) return;
+      assignments[handIndex] = track;
+      usedTracks.add(track);
+    });
+    return assignments;
+  }
+
+  // Hands that already have a role keep it; new hands take the free roles by x position.
+  // A role held by a hand that is missing this frame is handed over when it is needed.
+  assignRoles(seenTracks) {
+    if (seenTracks.length < 2) return;
+
+    const seen = new Set(seenTracks);
+    const seenRoles = new Set(
+      seenTracks.filter((track) => track.role).map((track) => track.role)
+    );
+    const freeRoles = ["left", "right"].filter((role) => !seenRoles.has(role));
+    const unassigned = seenTracks
+      .filter((track) => !track.role && track.wrist)
+      .sort((a, b) => a.wrist.x - b.wrist.x);
+    if (freeRoles.length === 0 || unassigned.length === 0) return;
+
+    const giveRole = (track, role) => {
+      this.tracks.forEach((other) => {
+        if (other.role === role && !seen.has(other)) other.role = null;
+      });
+      track.role = role;
+    };
+
+    if (freeRoles.length === 2) {
+      // A new pair: the leftmost hand becomes "left"
+      if (unassigned.length < 2) return;
+      giveRole(unassigned[0], "left");
+      giveRole(unassigned[1], "right");
+    } else {
+      // One partner already known: the hand furthest toward the free side joins it
+      const role = freeRoles[0];
+      giveRole(role === "left" ? unassigned[0] : unassigned[unassigned.length - 1], role);
+    }
+  }
+
+  reset() {
+    this.tracks = [];
+  }
+}
@@ -1,36 +1,102 @@
 // Kamehameha gesture detection logic
+import { resolveDetectorOptions } from "./detectorOptions.js";
+import { createLogger } from "./logger.js";
+import { CoordinateSpace } from "./coordinateSpace.js";
+import { HandPairSelector } from "./handPairSelection.js";
+import { REFERENCE_HAND_SCALE, getHandScale } from "./handScale.js";
+import { GestureEngine } from "./gestureEngine.js";
+import { DetectorEventEmitter } from "./detectorEvents.js";
+import {
+  CHARGING_POSE_RANGES,
+  FIRING_POSE_RANGES,
+  KAMEHAMEHA_TECHNIQUE,
+} from "./techniques/kamehameha.js";
+import { FINAL_FLASH_TECHNIQUE } from "./techniques/finalFlash.js";
+import { SPIRIT_BOMB_TECHNIQUE } from "./techniques/spiritBomb.js";
+import { SPECIAL_BEAM_CANNON_TECHNIQUE } from "./techniques/specialBeamCannon.js";
+import { SOLAR_FLARE_TECHNIQUE } from "./techniques/solarFlare.js";
+import { KI_BLAST_TECHNIQUE } from "./techniques/kiBlast.js";
+import { DEPTH_GAIN, measureHand } from "./techniques/handMotion.js";
+
+// Pose ranges are defined with the technique; re-exported for poseCoaching and the like
+export { CHARGING_POSE_RANGES, FIRING_POSE_RANGES };
+
+// Techniques recognized by default. When several start on the same frame, the highest
+// `priority` wins, then the first in this list.
+export const DEFAULT_TECHNIQUES = [
+  KAMEHAMEHA_TECHNIQUE,
+  SPIRIT_BOMB_TECHNIQUE,
+  FINAL_FLASH_TECHNIQUE,
+  SPECIAL_BEAM_CANNON_TECHNIQUE,
+  SOLAR_FLARE_TECHNIQUE,
+  KI_BLAST_TECHNIQUE,
+];
+
+// Combined palm normal length below which the palms face each other rather than any
+// common direction, and the 3D aim keeps the beam in the screen plane
+const MIN_PALM_NORMAL_LENGTH = 0.3;
+
+// Beam width and lens flare gain for a beam coming straight at the camera (see
+// KamehamehaEffects.drawEnergyBeam)
+const BEAM_PERSPECTIVE_GAIN = 2.2;
+
 export class KamehamehaDetector {
-  constructor() {
+  // options: preset name or { preset, ...overrides } (see lib/detectorOptions.js)
+  // clock: returns the current time in ms, used when detectGesture gets no timestamp
+  // logger: namespaced logger from lib/logger.js (errors only by default)
+  // coordinateSpace: frame size and mirroring shared with KamehamehaEffects (640x480 mirrored by default)
+  // techniques: declarative definitions of the moves to recognize (see lib/gestureEngine.js);
+  // whichever starts first is followed until it ends
+  constructor(
+    options = {},
+    {
+      clock = () => Date.now(),
+      logger = createLogger().child("detector"),
+      coordinateSpace = new CoordinateSpace(),
+      techniques = DEFAULT_TECHNIQUES,
+    } = {}
+  ) {
+    this.options = resolveDetectorOptions(options);
+    this.clock = clock;
+    this.logger = logger;
+    this.coordinateSpace = coordinateSpace;
+    this.currentTime = 0; // Timestamp of the frame being processed
+
     this.gestureState = "idle"; // idle, positioning, charging, firing
     this.stateStartTime = 0;
     this.chargingDuration = 0;
-    this.minimumChargingTime = 5000; // 5 seconds minimum charging for Kamehameha
-    this.maxChargingTime = 20000; // 20 seconds maximum charging for max power
-    this.maxFiringDuration = 15000; // 15 seconds max firing duration at full charge
-    this.positioningFrameCount = 0;
+    this.minimumChargingTime = this.options.minimumChargingTime; // Minimum charging before firing is allowed
+    this.maxChargingTime = this.options.maxChargingTime; // Charging time for max power
+    this.maxFiringDuration = this.options.maxFiringDuration; // Max firing duration at full charge
+    this.minFiringDuration = this.options.minFiringDuration; // Firing duration at minimum charge
+    this.positioningHoldTime = this.options.positioningHoldTime; // Time to hold the pose before charging
+    this.maxFiringTime = this.options.maxFiringTime; // Time after which firing always ends
+    this.positioningDuration = 0;
     this.firingFrameCount = 0;
     this.firingStartTime = 0;
     this.allowedFiringDuration = 0; // Calculated based on charging time
     this.gestureHistory = [];
-    this.onGestureChange = null; // Callback for gesture state changes
+    this.onGestureChange = null; // Callback for gesture state changes: (state, gestureData)
+    // Subscribers to the detector's events (see lib/detectorEvents.js and on())
+    this.events = new DetectorEventEmitter({ logger: this.logger });
+    this.lastPositioningProgress = null; // Last positioningProgress event's progress
+    this.lastChargeMilestone = 0; // Last chargeMilestone event's milestone (%) in this charge
     this.debugMode = true; // Simplified detection for testing
 
     // Hand position tracking for direction detection
     this.handPositionHistory = [];
     this.maxHistoryLength = 10; // Keep last 10 positions
     this.chargingPosition = null; // Store position during charging
+    this.chargingAim = null; // Where the beam would go if fired now (view space), while charging
+    // Size and palm center of each hand over the last frames, by trackId, for one-hand moves
+    this.singleHandHistory = new Map();
     
     // Logging throttling properties
-    this.previousScore = 0;
-    this.previousFiringScore = 0;
     this.lastLoggedProgress = -1;
     this.lastLoggedAngle = null;
+    this.firingGraceTime = this.options.firingGraceTime; // Time without firing pose before ending firing
     
-    // Firing stability to prevent rapid state changes
-    this.firingStabilityCounter = 0;
-    this.firingStabilityThreshold = 5; // Require 5 consecutive invalid frames before ending firing
-    
-    // Default beam data (flat horizontal right, no depth)
+    // Default beam data (flat horizontal right, no depth); beam directions are in view space
     this.beamDirection = {
       angle: 0,                                     // 2‑D yaw
       vector: { x: 1, y: 0 },                       // 2‑D unit vector
@@ -41,10 +107,29 @@ export class KamehamehaDetector {
     
     // Store reference to current hands for helper methods
     this.currentHands = null;
+    this.currentFaces = []; // Face landmarks of the current frame, for techniques that use the face
+    this.shouting = false; // Whether the player is shouting in the current frame
+
+    // Picks the gesture's two hands when more are in frame (see lib/handPairSelection.js)
+    this.pairSelector = new HandPairSelector((hand) => this.getHandScale(hand));
+
+    // Per-criterion score breakdowns from the last frame (null when the pose was not evaluated)
+    this.chargingPoseAnalysis = null;
+    this.firingPoseAnalysis = null;
+
+    // One engine per technique; their hooks update the fields above. this.engine is the one
+    // whose gesture is in progress (the first technique while idle, e.g. for pose coaching).
+    if (!Array.isArray(techniques) || techniques.length === 0) {
+      throw new TypeError("KamehamehaDetector needs at least one technique");
+    }
+    this.engines = techniques.map((technique) => new GestureEngine(technique, this));
+    this.engine = this.engines[0];
+    // Techniques that may not start until their starting pose is let go (see detectGesture)
+    this.blockedEngines = new Set();
   }
 
   // Track hand positions for direction detection
-  updateHandPositionHistory(hands) {
+  updateHandPositionHistory(hands, timestamp = this.currentTime) {
     if (!hands || hands.length !== 2) return;
 
     const [leftHand, rightHand] = this.identifyHands(hands);
@@ -52,6 +137,8 @@ export class KamehamehaDetector {
 
     const leftWrist = leftHand.keypoints.find((kp) => kp.name === "wrist");
     const rightWrist = rightHand.keypoints.find((kp) => kp.name === "wrist");
+    const leftTip = leftHand.keypoints.find((kp) => kp.name === "middle_finger_tip");
+    const rightTip = rightHand.keypoints.find((kp) => kp.name === "middle_finger_tip");
 
     if (!leftWrist || !rightWrist) return;
 
@@ -63,13 +150,18 @@ export class KamehamehaDetector {
     this.handPositionHistory.push({
       x: centerX,
       y: centerY,
-      timestamp: Date.now(),
+      timestamp,
       leftWrist: { x: leftWrist.x, y: leftWrist.y },
       rightWrist: { x: rightWrist.x, y: rightWrist.y },
       distance: Math.sqrt(
         Math.pow(leftWrist.x - rightWrist.x, 2) +
           Math.pow(leftWrist.y - rightWrist.y, 2)
       ),
+      // For the thrust speed (see getThrust)
+      leftTip: leftTip ? { x: leftTip.x, y: leftTip.y } : null,
+      rightTip: rightTip ? { x: rightTip.x, y: rightTip.y } : null,
+      scale: this.getPairScale(leftHand, rightHand),
+      fingertipDepth: this.getFingertipDepth(leftHand, rightHand),
     });
 
     // Keep only recent history
@@ -78,7 +170,102 @@ export class KamehamehaDetector {
     }
   }
 
-  // Calculate thrust direction using V-bisector method with X-axis mirroring support and extra logging
+  // How far the middle fingertips are in front of the wrists (negative: toward the camera),
+  // in hand sizes, averaged over both hands; null without keypoints3D. MediaPipe's 3D
+  // keypoints are relative to each hand, so this tells how the hands turn, not how far
+  // they are.
+  getFingertipDepth(leftHand, rightHand) {
+    const depths = [leftHand, rightHand].map((hand) => {
+      const point = (name) => hand.keypoints3D && hand.keypoints3D.find((kp) => kp.name === name);
+      const wrist = point("wrist");
+      const middleMcp = point("middle_finger_mcp");
+      const tip = point("middle_finger_tip");
+      if (!wrist || !middleMcp || !tip) return null;
+      const size = Math.hypot(middleMcp.x - wrist.x, middleMcp.y - wrist.y, (middleMcp.z || 0) - (wrist.z || 0));
+      return size > 0 ? ((tip.z || 0) - (wrist.z || 0)) / size : null;
+    });
+    return depths[0] === null || depths[1] === null ? null : (depths[0] + depths[1]) / 2;
+  }
+
+  // How fast the hands are thrusting, over the last `window` ms of handPositionHistory, in
+  // hand sizes per second, or null when there is no earlier sample in the window:
+  //   outward  wrists or middle fingertips moving the way the fingers point now (wrist →
+  //            middle fingertip), whichever is faster, averaged over both hands
+  //   forward  toward the camera: the hands growing on screen and the wrists spreading apart
+  //            alike, whichever grew less
+  //   depth    the fingertips coming out in front of the wrists (keypoints3D), null without
+  //            them. Turning the hands into the firing pose does that too, so it only backs
+  //            up a push seen on screen (see the kamehameha thrust criterion)
+  // Turning also swings the fingertips sideways and changes how long the palms look; only
+  // the part of the fingertip motion along the fingers counts.
+  getThrust(window) {
+    const history = this.handPositionHistory;
+    if (history.length < 2) return null;
+    const latest = history[history.length - 1];
+    const reference = history.find((sample) => latest.timestamp - sample.timestamp <= window);
+    if (!reference || reference === latest) return null;
+
+    const seconds = (latest.timestamp - reference.timestamp) / 1000;
+    const scale = latest.scale || REFERENCE_HAND_SCALE;
+    // Travel from `from` to `to` along the latest wrist → fingertip axis, in pixels (null
+    // without the fingertips)
+    const along = (from, to, wrist, tip) => {
+      if (!from || !to || !tip) return null;
+      const axis = Math.hypot(tip.x - wrist.x, tip.y - wrist.y);
+      if (axis === 0) return null;
+      return ((to.x - from.x) * (tip.x - wrist.x) + (to.y - from.y) * (tip.y - wrist.y)) / axis;
+    };
+    const speedOf = (left, right) =>
+      left === null || right === null ? 0 : (left + right) / 2 / scale / seconds;
+    const travel = (point) =>
+      speedOf(
+        along(reference[`left${point}`], latest[`left${point}`], latest.leftWrist, latest.leftTip),
+        along(reference[`right${point}`], latest[`right${point}`], latest.rightWrist, latest.rightTip)
+      );
+    const outward = Math.max(travel("Wrist"), travel("Tip"));
+    const growth = Math.min(
+      latest.scale / reference.scale,
+      reference.distance > 0 ? latest.distance / reference.distance : 1
+    );
+    const forward = ((growth - 1) * DEPTH_GAIN) / seconds;
+    const depth =
+      reference.fingertipDepth !== null && latest.fingertipDepth !== null
+        ? (reference.fingertipDepth - latest.fingertipDepth) / seconds
+        : null;
+
+    return { outward, forward, depth };
+  }
+
+  // Track each hand on its own (size and palm center, see measureHand), for the one-hand
+  // techniques fired by how a single hand moves (a ki blast push). Hands without a trackId
+  // (no HandTracker) are told apart by their order.
+  updateSingleHandHistory(hands, timestamp = this.currentTime) {
+    const histories = new Map();
+    (hands || []).forEach((hand, index) => {
+      const measurement = measureHand(this, hand);
+      if (!measurement) return;
+      const key = hand.trackId ?? `untracked-${index}`;
+      const history = this.singleHandHistory.get(key) || [];
+      history.push({ ...measurement, timestamp });
+      if (history.length > this.maxHistoryLength) history.shift();
+      histories.set(key, history);
+    });
+    // Hands no longer in frame are forgotten
+    this.singleHandHistory = histories;
+  }
+
+  // Latest sample of `hand` (see updateSingleHandHistory) and the oldest one at most `window`
+  // ms before it, or null when there is no earlier sample
+  getSingleHandMotion(hand, window) {
+    const index = this.currentHands ? this.currentHands.indexOf(hand) : -1;
+    const history = this.singleHandHistory.get(hand.trackId ?? `untracked-${index}`);
+    if (!history || history.length < 2) return null;
+    const latest = history[history.length - 1];
+    const reference = history.find((sample) => latest.timestamp - sample.timestamp <= window);
+    return reference && reference !== latest ? { reference, latest } : null;
+  }
+
+  // Calculate thrust direction using V-bisector method, in view space (as seen on screen)
   calculateThrustDirection(hands) {
     if (!hands || hands.length !== 2) {
       return { angle: 0, vector: { x: 1, y: 0 }, origin: { x: 0, y: 0 }, endpoint: { x: 1000, y: 0 }, method: "default" };
@@ -95,29 +282,21 @@ export class KamehamehaDetector {
       return { angle: 0, vector: { x: 1, y: 0 }, origin: { x: 0, y: 0 }, endpoint: { x: 1000, y: 0 }, method: "default" };
     }
 
-    // === MIRROR SUPPORT FOR WEBCAM FEED ===
-    // Set flipX to true if your webcam feed is mirrored (left hand appears on right)
-    const flipX = true; // Try toggling this to false if needed
-    const videoWidth = 640; // Adjust this to your actual video/canvas width
-
-    function mirrorX(x) {
-      return flipX ? (videoWidth - x) : x;
-    }
-
-    // MIRROR X if necessary
-    const leftWristX = mirrorX(leftWrist.x), rightWristX = mirrorX(rightWrist.x);
-    const leftMiddleX = mirrorX(leftMiddle.x), rightMiddleX = mirrorX(rightMiddle.x);
+    // Keypoints are in video space; the beam is expressed as the user sees it
+    const space = this.coordinateSpace;
+    const leftWristView = space.toView(leftWrist), rightWristView = space.toView(rightWrist);
+    const leftMiddleView = space.toView(leftMiddle), rightMiddleView = space.toView(rightMiddle);
 
     // V-origin
     const origin = {
-      x: (leftWristX + rightWristX) / 2,
-      y: (leftWrist.y + rightWrist.y) / 2
+      x: (leftWristView.x + rightWristView.x) / 2,
+      y: (leftWristView.y + rightWristView.y) / 2
     };
 
     // Target (midpoint of finger tips)
     const target = {
-      x: (leftMiddleX + rightMiddleX) / 2,
-      y: (leftMiddle.y + rightMiddle.y) / 2
+      x: (leftMiddleView.x + rightMiddleView.x) / 2,
+      y: (leftMiddleView.y + rightMiddleView.y) / 2
     };
 
     // Direction: from V-origin to finger tip midpoint
@@ -126,7 +305,9 @@ export class KamehamehaDetector {
     const beamVec = norm === 0 ? { x: 0, y: -1 } : { x: vec.x / norm, y: vec.y / norm };
 
     // Debug log
-    console.log(`🎯 New Beam from (${origin.x.toFixed(1)}, ${origin.y.toFixed(1)}) to (${target.x.toFixed(1)}, ${target.y.toFixed(1)}) vec=(${beamVec.x.toFixed(2)}, ${beamVec.y.toFixed(2)})`);
+    if (this.logger.isEnabled("trace")) {
+      this.logger.trace(`🎯 New Beam from (${origin.x.toFixed(1)}, ${origin.y.toFixed(1)}) to (${target.x.toFixed(1)}, ${target.y.toFixed(1)}) vec=(${beamVec.x.toFixed(2)}, ${beamVec.y.toFixed(2)})`);
+    }
 
     // Use for your endpoint calculation:
     const beamLength = 1000;
@@ -135,109 +316,75 @@ export class KamehamehaDetector {
       y: origin.y + beamVec.y * beamLength
     };
 
+    // Depth from where the palms face (keypoints3D only). The on-screen angle stays the
+    // fingertips' one, which holds steady when the beam comes at the camera.
+    const depth = this.getPalmDepth(leftHand, rightHand);
+    const planar = depth === null ? 1 : Math.sqrt(1 - depth * depth);
+
     return {
       angle: Math.atan2(beamVec.y, beamVec.x),
       vector: beamVec,
+      vector3D: { x: beamVec.x * planar, y: beamVec.y * planar, z: depth ?? 0 },
+      // keypoints3D are relative to each hand: there is no distance to the camera to spawn at
+      origin3D: { x: origin.x, y: origin.y, z: 0 },
+      perspective: 1 + Math.max(0, depth ?? 0) * BEAM_PERSPECTIVE_GAIN,
       origin,
       endpoint,
-      method: "origin-to-midpoint"
+      method: depth === null ? "origin-to-midpoint" : "palm-normal"
     };
   }
 
   /* ────────────────────────── 3‑D helpers ────────────────────────── */
 
-
-  // Convert screen-space (y-down) to math space (y-up) for 2D calculations
-  // Note: This handles coordinate system conversion for 2D keypoints
-  screenToCanvas2D(v) {
-    return { x: v.x, y: -v.y };
+  // Unit normal out of the palm (keypoints3D axes: x right and y down in the video, z away
+  // from the camera), or null without keypoints3D. The hand on the left of the video is the
+  // player's right hand; the other one is mirrored, so its cross product is taken the other
+  // way round.
+  getPalmNormal(hand, isLeftOfVideo) {
+    const point = (name) => hand.keypoints3D && hand.keypoints3D.find((kp) => kp.name === name);
+    const wrist = point("wrist");
+    const indexMcp = point("index_finger_mcp");
+    const pinkyMcp = point("pinky_finger_mcp");
+    if (!wrist || !indexMcp || !pinkyMcp) return null;
+
+    const toIndex = { x: indexMcp.x - wrist.x, y: indexMcp.y - wrist.y, z: (indexMcp.z || 0) - (wrist.z || 0) };
+    const toPinky = { x: pinkyMcp.x - wrist.x, y: pinkyMcp.y - wrist.y, z: (pinkyMcp.z || 0) - (wrist.z || 0) };
+    const [a, b] = isLeftOfVideo ? [toIndex, toPinky] : [toPinky, toIndex];
+    const normal = {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x,
+    };
+    const length = Math.hypot(normal.x, normal.y, normal.z);
+    return length > 0 ? { x: normal.x / length, y: normal.y / length, z: normal.z / length } : null;
   }
 
-  // Get keypoint in consistent coordinate system
-  // Prefer 3D coordinates when available, fallback to converted 2D
-  getConsistentKeypoint(hand, keypointName) {
-    // Try 3D first (already in world space)
-    if (hand.keypoints3D) {
-      const kp3D = hand.keypoints3D.find(kp => kp.name === keypointName);
-      if (kp3D) return { x: kp3D.x, y: kp3D.y, z: kp3D.z || 0 };
-    }
-    
-    // Fallback to 2D with coordinate conversion
-    const kp2D = hand.keypoints.find(kp => kp.name === keypointName);
-    if (kp2D) {
-      const converted = this.screenToCanvas2D(kp2D);
-      return { x: converted.x, y: converted.y, z: 0 };
-    }
-    
-    return null;
+  // How much both palms face the camera together, from -1 (away) to 1 (straight at it), or
+  // null without keypoints3D or when the palms face each other: the depth component of the
+  // beam direction
+  getPalmDepth(hand1, hand2) {
+    // Sides are read from the video keypoints: keypoints3D are relative to each hand
+    const wrist1 = hand1.keypoints.find((kp) => kp.name === "wrist");
+    const wrist2 = hand2.keypoints.find((kp) => kp.name === "wrist");
+    if (!wrist1 || !wrist2) return null;
+    const firstIsLeft = wrist1.x < wrist2.x;
+    const left = this.getPalmNormal(hand1, firstIsLeft);
+    const right = this.getPalmNormal(hand2, !firstIsLeft);
+    if (!left || !right) return null;
+    const sum = { x: left.x + right.x, y: left.y + right.y, z: left.z + right.z };
+    const length = Math.hypot(sum.x, sum.y, sum.z);
+    // Negative z is toward the camera in keypoints3D
+    return length / 2 < MIN_PALM_NORMAL_LENGTH ? null : -sum.z / length;
   }
 
-  // Check if hands are in starting position (Kamehameha charging pose with specific wrist configuration)
-  isInStartingPosition(hands) {
-    if (!hands || hands.length !== 2) {
-      return false;
-    }
-
-    const [leftHand, rightHand] = this.identifyHands(hands);
-    if (!leftHand || !rightHand) {
-      return false;
-    }
-
-    // Get essential keypoints for charging pose analysis
-    const leftWrist = leftHand.keypoints.find((kp) => kp.name === "wrist");
-    const rightWrist = rightHand.keypoints.find((kp) => kp.name === "wrist");
-    const leftThumb = leftHand.keypoints.find((kp) => kp.name === "thumb_tip");
-    const rightThumb = rightHand.keypoints.find(
-      (kp) => kp.name === "thumb_tip"
-    );
-    const leftIndex = leftHand.keypoints.find(
-      (kp) => kp.name === "index_finger_tip"
-    );
-    const rightIndex = rightHand.keypoints.find(
-      (kp) => kp.name === "index_finger_tip"
-    );
-
-    if (
-      !leftWrist ||
-      !rightWrist ||
-      !leftThumb ||
-      !rightThumb ||
-      !leftIndex ||
-      !rightIndex
-    ) {
-      console.log(
-        "🔍 Kamehameha Detection: Missing required keypoints for charging pose analysis"
-      );
-      return false;
-    }
-
-    // Analyze Dragon Ball Z charging pose using sophisticated criteria
-    const chargingAnalysis = this.analyzeChargingPose(leftHand, rightHand);
-
-    // Only log significant events, not every frame analysis
-    if (!this.previousScore) this.previousScore = 0;
-    
-    if (chargingAnalysis.score < 2 && this.previousScore >= 2) {
-      console.log(`❌ POSE VALIDATION LOST - Score ${chargingAnalysis.score}/6 too low (need ≥2)`);
-    } else if (chargingAnalysis.score >= 2 && this.previousScore < 2) {
-      console.log(`✅ POSE VALIDATED - Score ${chargingAnalysis.score}/6 ≥ 2, ready for thrust detection`);
-    }
-    
-    this.previousScore = chargingAnalysis.score;
-    const isValidPosition = chargingAnalysis.score >= 2;
-
-    if (isValidPosition) {
-      // Calculate beam direction from charging pose, but don't lock it in
-      // We'll recalculate during the firing phase for more dynamic control
-      const beamDirection = this.calculateBeamDirectionFromWrists(
-        leftWrist,
-        rightWrist,
-        leftHand,
-        rightHand
-      );
-    }
+  // Size of a hand in pixels, the unit for pose distances (see lib/handScale.js)
+  getHandScale(hand) {
+    return getHandScale(hand);
+  }
 
-    return isValidPosition;
+  // Average size of both hands, used for distances measured between the hands
+  getPairScale(leftHand, rightHand) {
+    return (this.getHandScale(leftHand) + this.getHandScale(rightHand)) / 2;
   }
 
   // Calculate energy sphere center based on finger positions within cupped hands
@@ -305,281 +452,22 @@ export class KamehamehaDetector {
     return adjustedSphereCenter;
   }
 
-  // Analyze charging pose based on Dragon Ball Z specifications with enhanced wrist configuration
-  analyzeChargingPose(leftHand, rightHand) {
-    const leftWrist = leftHand.keypoints.find((kp) => kp.name === "wrist");
-    const rightWrist = rightHand.keypoints.find((kp) => kp.name === "wrist");
-    const leftThumb = leftHand.keypoints.find((kp) => kp.name === "thumb_tip");
-    const rightThumb = rightHand.keypoints.find(
-      (kp) => kp.name === "thumb_tip"
-    );
-    const leftIndex = leftHand.keypoints.find(
-      (kp) => kp.name === "index_finger_tip"
-    );
-    const rightIndex = rightHand.keypoints.find(
-      (kp) => kp.name === "index_finger_tip"
-    );
-    const leftMiddle = leftHand.keypoints.find(
-      (kp) => kp.name === "middle_finger_tip"
-    );
-    const rightMiddle = rightHand.keypoints.find(
-      (kp) => kp.name === "middle_finger_tip"
-    );
-
-    let score = 0;
-    const details = [];
-
-    // 1. Wrists close together but not touching (energy sphere formation distance: 30-120px)
-    const wristDistance = Math.sqrt(
-      Math.pow(leftWrist.x - rightWrist.x, 2) +
-        Math.pow(leftWrist.y - rightWrist.y, 2)
-    );
-    const distanceValid = wristDistance >= 30 && wristDistance <= 120;
-    if (distanceValid) {
-      score++;
-      details.push(
-        `✅ Wrist distance: ${wristDistance.toFixed(
-          1
-        )}px (optimal for energy sphere)`
-      );
-    } else {
-      details.push(
-        `❌ Wrist distance: ${wristDistance.toFixed(
-          1
-        )}px (need 30-120px for energy sphere)`
-      );
-    }
-
-    // 2. Dragon Ball Z Wrist V-Formation: Wrists angled inward creating precise V-shape
-    const wristVector = {
-      x: rightWrist.x - leftWrist.x,
-      y: rightWrist.y - leftWrist.y,
-    };
-    const sphereCenter = this.calculateEnergySphereCenter(leftHand, rightHand);
-
-    // Enhanced V-formation analysis - wrists should create angle pointing toward energy sphere
-    const leftWristToCenter = {
-      x: sphereCenter.x - leftWrist.x,
-      y: sphereCenter.y - leftWrist.y,
-    };
-    const rightWristToCenter = {
-      x: sphereCenter.x - rightWrist.x,
-      y: sphereCenter.y - rightWrist.y,
-    };
-
-    // Calculate V-formation angle (angle between wrist-to-center vectors)
-    const leftWristAngle = Math.atan2(leftWristToCenter.y, leftWristToCenter.x);
-    const rightWristAngle = Math.atan2(
-      rightWristToCenter.y,
-      rightWristToCenter.x
-    );
-    const vFormationAngle =
-      (Math.abs(leftWristAngle - rightWristAngle) * 180) / Math.PI;
-
-    // Dragon Ball Z V-formation: 120-180° angle between wrist orientations
-    const vFormationValid = vFormationAngle >= 120 && vFormationAngle <= 180;
-    if (vFormationValid) {
-      score++;
-      details.push(
-        `✅ Dragon Ball Z V-formation: ${vFormationAngle.toFixed(
-          1
-        )}° (wrists angled perfectly)`
-      );
-    } else {
-      details.push(
-        `❌ V-formation angle: ${vFormationAngle.toFixed(
-          1
-        )}° (need 120-180° for Dragon Ball Z pose)`
-      );
-    }
-
-    // 3. Enhanced Palm Orientation: Palms facing energy sphere with inner wrist visibility
-    // Dragon Ball Z specification: Palms face the energy sphere, inner wrists partially visible
-    const leftPalmVector = {
-      x: leftIndex.x - leftWrist.x,
-      y: leftIndex.y - leftWrist.y,
-    };
-    const rightPalmVector = {
-      x: rightIndex.x - rightWrist.x,
-      y: rightIndex.y - rightWrist.y,
-    };
-
-    // Check if palm vectors point toward sphere center
-    const leftPalmAngle = Math.atan2(leftPalmVector.y, leftPalmVector.x);
-    const rightPalmAngle = Math.atan2(rightPalmVector.y, rightPalmVector.x);
-    const leftToSphereAngle = Math.atan2(
-      leftWristToCenter.y,
-      leftWristToCenter.x
-    );
-    const rightToSphereAngle = Math.atan2(
-      rightWristToCenter.y,
-      rightWristToCenter.x
-    );
-
-    const leftPalmAlignment =
-      (Math.abs(leftPalmAngle - leftToSphereAngle) * 180) / Math.PI;
-    const rightPalmAlignment =
-      (Math.abs(rightPalmAngle - rightToSphereAngle) * 180) / Math.PI;
-
-    // Palms should be oriented within 45° of pointing toward sphere center
-    const palmsValid = leftPalmAlignment < 45 && rightPalmAlignment < 45;
-    if (palmsValid) {
-      score++;
-      details.push(
-        `✅ Palm orientation: Left ${leftPalmAlignment.toFixed(
-          1
-        )}°, Right ${rightPalmAlignment.toFixed(1)}° (facing energy sphere)`
-      );
-    } else {
-      details.push(
-        `❌ Palm orientation: Left ${leftPalmAlignment.toFixed(
-          1
-        )}°, Right ${rightPalmAlignment.toFixed(1)}° (not facing sphere)`
-      );
-    }
-
-    // 4. Enhanced Wrist Rotation: Outward rotation with inner wrist visibility (Dragon Ball Z style)
-    // Dragon Ball Z: Wrists rotated outward so inner side is partially visible
-    const leftWristRotation = Math.atan2(
-      leftThumb.y - leftWrist.y,
-      leftThumb.x - leftWrist.x
-    );
-    const rightWristRotation = Math.atan2(
-      rightThumb.y - rightWrist.y,
-      rightThumb.x - rightWrist.x
-    );
-
-    const leftRotationDeg = (leftWristRotation * 180) / Math.PI;
-    const rightRotationDeg = (rightWristRotation * 180) / Math.PI;
-
-    // Enhanced rotation criteria for Dragon Ball Z outward wrist rotation
-    // Left wrist: thumb should point upward-left (90° to 150°)
-    // Right wrist: thumb should point upward-right (30° to 90°)
-    const leftWristValid = leftRotationDeg >= 90 && leftRotationDeg <= 150;
-    const rightWristValid = rightRotationDeg >= 30 && rightRotationDeg <= 90;
-    const wristRotationValid = leftWristValid && rightWristValid;
-
-    if (wristRotationValid) {
-      score++;
-      details.push(
-        `✅ Dragon Ball Z wrist rotation: Left ${leftRotationDeg.toFixed(
-          1
-        )}°, Right ${rightRotationDeg.toFixed(1)}° (outward rotation)`
-      );
-    } else {
-      details.push(
-        `❌ Wrist rotation: Left ${leftRotationDeg.toFixed(
-          1
-        )}°, Right ${rightRotationDeg.toFixed(1)}° (need outward rotation)`
-      );
-    }
-
-    // 5. Enhanced Finger Configuration: Wide aggressive spread with Dragon Ball Z intensity
-    const leftFingerSpread = this.calculateEnhancedFingerSpread(leftHand);
-    const rightFingerSpread = this.calculateEnhancedFingerSpread(rightHand);
-    const avgFingerSpread =
-      (leftFingerSpread.totalSpread + rightFingerSpread.totalSpread) / 2;
-    const fingerIntensity =
-      (leftFingerSpread.intensity + rightFingerSpread.intensity) / 2;
-
-    // Dragon Ball Z charging: Wide finger spread (>100px) with high intensity (aggressive arch)
-    const fingersSpreadValid = avgFingerSpread > 100 && fingerIntensity > 0.7;
-    if (fingersSpreadValid) {
-      score++;
-      details.push(
-        `✅ Dragon Ball Z finger spread: ${avgFingerSpread.toFixed(
-          1
-        )}px intensity ${fingerIntensity.toFixed(2)} (aggressive charging)`
-      );
-    } else {
-      details.push(
-        `❌ Finger spread: ${avgFingerSpread.toFixed(
-          1
-        )}px intensity ${fingerIntensity.toFixed(
-          2
-        )} (need wide aggressive spread)`
-      );
-    }
-
-    // 6. Enhanced Energy Funnel: Precise convergence with Dragon Ball Z funnel dynamics
-    // Dragon Ball Z: Hands and fingers create energy funnel directing power toward sphere
-    const leftFingerDirection = {
-      x: leftIndex.x - leftWrist.x,
-      y: leftIndex.y - leftWrist.y,
-    };
-    const rightFingerDirection = {
-      x: rightIndex.x - rightWrist.x,
-      y: rightIndex.y - rightWrist.y,
-    };
-
-    // Calculate convergence precision
-    const leftFingerAngle = Math.atan2(
-      leftFingerDirection.y,
-      leftFingerDirection.x
-    );
-    const rightFingerAngle = Math.atan2(
-      rightFingerDirection.y,
-      rightFingerDirection.x
-    );
-    const convergenceAngle = Math.abs(leftFingerAngle - rightFingerAngle);
-    const convergenceDegrees = (convergenceAngle * 180) / Math.PI;
-
-    // Enhanced funnel analysis: check if fingers create proper energy channel
-    const funnelAlignment = this.analyzeDragonBallZEnergyFunnel(
-      leftHand,
-      rightHand,
-      sphereCenter
-    );
-    const energyFunnelValid = funnelAlignment.isValid;
-
-    if (energyFunnelValid) {
-      score++;
-      details.push(
-        `✅ Dragon Ball Z energy funnel: ${convergenceDegrees.toFixed(
-          1
-        )}° convergence (${funnelAlignment.quality})`
-      );
-    } else {
-      details.push(
-        `❌ Energy funnel: ${convergenceDegrees.toFixed(1)}° convergence (${
-          funnelAlignment.reason
-        })`
-      );
-    }
-
-    return {
-      score,
-      details,
-      wristDistance,
-      distanceValid,
-      vFormationAngle,
-      vFormationValid,
-      palmsValid,
-      wristRotationValid,
-      fingersSpreadValid,
-      energyFunnelValid,
-      leftRotationDeg,
-      rightRotationDeg,
-      avgFingerSpread,
-      fingerIntensity,
-      convergenceAngle: convergenceDegrees,
-      funnelQuality: energyFunnelValid ? funnelAlignment.quality : "poor",
-    };
-  }
-
   // Enhanced finger spread calculation with Dragon Ball Z intensity analysis
   calculateEnhancedFingerSpread(hand) {
     const thumb = hand.keypoints.find((kp) => kp.name === "thumb_tip");
     const index = hand.keypoints.find((kp) => kp.name === "index_finger_tip");
     const middle = hand.keypoints.find((kp) => kp.name === "middle_finger_tip");
     const ring = hand.keypoints.find((kp) => kp.name === "ring_finger_tip");
-    const pinky = hand.keypoints.find((kp) => kp.name === "pinky_tip");
+    const pinky = hand.keypoints.find((kp) => kp.name === "pinky_finger_tip");
     const wrist = hand.keypoints.find((kp) => kp.name === "wrist");
 
     if (!thumb || !index || !middle || !ring || !pinky || !wrist) {
       return { totalSpread: 0, intensity: 0, fingerArch: 0 };
     }
 
+    // Distances are divided by the hand size so the result does not depend on resolution
+    const handScale = this.getHandScale(hand);
+
     // Calculate distances between adjacent fingers (total spread)
     const thumbToIndex = Math.sqrt(
       Math.pow(thumb.x - index.x, 2) + Math.pow(thumb.y - index.y, 2)
@@ -594,7 +482,7 @@ export class KamehamehaDetector {
       Math.pow(ring.x - pinky.x, 2) + Math.pow(ring.y - pinky.y, 2)
     );
     const totalSpread =
-      thumbToIndex + indexToMiddle + middleToRing + ringToPinky;
+      (thumbToIndex + indexToMiddle + middleToRing + ringToPinky) / handScale;
 
     // Calculate finger extension intensity (how far fingers extend from wrist)
     const fingerDistances = [
@@ -615,12 +503,13 @@ export class KamehamehaDetector {
 
     const avgFingerExtension =
       fingerDistances.reduce((sum, dist) => sum + dist, 0) /
-      fingerDistances.length;
-    const maxFingerExtension = Math.max(...fingerDistances);
+      fingerDistances.length /
+      handScale;
+    const maxFingerExtension = Math.max(...fingerDistances) / handScale;
 
     // Intensity score (0-1): measures how aggressively fingers are extended and spread
-    const spreadIntensity = Math.min(totalSpread / 150, 1); // Normalize to 150px max spread
-    const extensionIntensity = Math.min(avgFingerExtension / 80, 1); // Normalize to 80px avg extension
+    const spreadIntensity = Math.min(totalSpread / 2.5, 1); // Normalize to 2.5 hand sizes (150px) max spread
+    const extensionIntensity = Math.min(avgFingerExtension / 1.33, 1); // Normalize to 1.33 hand sizes (80px) avg extension
     const intensity = (spreadIntensity + extensionIntensity) / 2;
 
     // Calculate finger arch (curvature) for Dragon Ball Z aggressive pose
@@ -637,7 +526,7 @@ export class KamehamehaDetector {
 
   // Calculate finger arch/curvature for aggressive Dragon Ball Z charging pose
   calculateFingerArch(hand) {
-    const fingers = ["index_finger", "middle_finger", "ring_finger", "pinky"];
+    const fingers = ["index_finger", "middle_finger", "ring_finger", "pinky_finger"];
     let totalArch = 0;
     let validFingers = 0;
 
@@ -796,7 +685,9 @@ export class KamehamehaDetector {
       (Math.abs(rightFingerAngle - rightSphereAngle) * 180) / Math.PI;
 
     // 4. Overall funnel quality assessment
-    const convergenceValid = leftConvergence < 45 && rightConvergence < 45;
+    const convergenceValid =
+      leftConvergence < CHARGING_POSE_RANGES.energyFunnel.max &&
+      rightConvergence < CHARGING_POSE_RANGES.energyFunnel.max;
     const funnelStrength =
       leftFunnelValid && rightFunnelValid && convergenceValid;
 
@@ -834,407 +725,15 @@ export class KamehamehaDetector {
     };
   }
 
-  // Calculate beam direction from wrist positions (Dragon Ball Z method)
-  calculateBeamDirectionFromWrists(
-    leftWrist,
-    rightWrist,
-    leftHand = null,
-    rightHand = null
-  ) {
-    // Validate input parameters
-    if (!leftWrist || !rightWrist) {
-      console.log('🎯 Error: Missing wrist keypoints for beam calculation');
-      return {
-        angle: 0,
-        vector: { x: 1, y: 0 },
-        origin: { x: 0, y: 0 },
-        wristAxis: { x: 0, y: 0 },
-        error: 'Missing wrist keypoints'
-      };
-    }
-
-    // Calculate wrist axis vector
-    const wristAxis = {
-      x: rightWrist.x - leftWrist.x,
-      y: rightWrist.y - leftWrist.y,
-    };
-
-    // Check for degenerate case (wrists too close together)
-    const wristDistance = Math.sqrt(wristAxis.x * wristAxis.x + wristAxis.y * wristAxis.y);
-    if (wristDistance < 10) {
-      console.log('🎯 Warning: Wrists too close together for reliable beam direction');
-      return {
-        angle: 0,
-        vector: { x: 1, y: 0 },
-        origin: { x: (leftWrist.x + rightWrist.x) / 2, y: (leftWrist.y + rightWrist.y) / 2 },
-        wristAxis: wristAxis,
-        error: 'Wrists too close together'
-      };
-    }
-
-    // Initialize beam direction
-    let beamDirection = { x: 0, y: 0 };
-    let directionMethod = "default";
-
-    // PRIORITY 1: Use finger convergence direction if available (most accurate)
-    if (leftHand && rightHand) {
-      const fingerDirection = this.calculateFingerConvergenceDirection(leftHand, rightHand);
-      if (fingerDirection) {
-        beamDirection = fingerDirection;
-        directionMethod = "finger_convergence";
-        console.log('🎯 Using finger convergence direction for beam');
-      }
-    }
-
-    // PRIORITY 2: If finger convergence failed, try palm facing direction
-    if (directionMethod === "default" && leftHand && rightHand) {
-      const palmDirection = this.calculatePalmFacingDirection(leftHand, rightHand);
-      if (palmDirection) {
-        beamDirection = palmDirection;
-        directionMethod = "palm_facing";
-        console.log('🎯 Using palm facing direction for beam');
-      }
-    }
-
-    // PRIORITY 3: Fallback to perpendicular wrist direction
-    if (directionMethod === "default") {
-      // Calculate perpendicular vector (beam direction) using right-hand normal
-      // First determine if we should use clockwise or counterclockwise rotation
-      const wristAngle = Math.atan2(wristAxis.y, wristAxis.x);
-      const isClockwise = Math.abs(wristAngle) < Math.PI / 2;
-      
-      // Calculate perpendicular vector based on wrist orientation
-      beamDirection = {
-        x: isClockwise ? -wristAxis.y : wristAxis.y,
-        y: isClockwise ? wristAxis.x : -wristAxis.x
-      };
-      directionMethod = "perpendicular_wrist";
-      console.log('🎯 Using perpendicular wrist direction for beam - Wrist angle:', (wristAngle * 180 / Math.PI).toFixed(1) + '°');
-    }
-
-    // Normalize the beam direction
-    const magnitude = Math.sqrt(
-      beamDirection.x * beamDirection.x + beamDirection.y * beamDirection.y
-    );
-    const normalizedBeamDirection =
-      magnitude > 0
-        ? {
-            x: beamDirection.x / magnitude,
-            y: beamDirection.y / magnitude,
-          }
-        : { x: 1, y: 0 }; // Default right direction
-
-    // Calculate beam angle in radians
-    const beamAngle = Math.atan2(
-      normalizedBeamDirection.y,
-      normalizedBeamDirection.x
-    );
-
-    // Calculate beam origin - use energy sphere center for more accurate beam origin
-    let beamOrigin;
-    if (leftHand && rightHand) {
-      beamOrigin = this.calculateEnergySphereCenter(leftHand, rightHand);
-    } else {
-      // Fallback to wrist center if hand data not available
-      beamOrigin = {
-        x: (leftWrist.x + rightWrist.x) / 2,
-        y: (leftWrist.y + rightWrist.y) / 2,
-      };
-    }
-
-    // Return complete beam data
-    return {
-      angle: beamAngle,
-      vector: normalizedBeamDirection,
-      origin: beamOrigin,
-      wristAxis: wristAxis,
-      wristDistance: wristDistance,
-      magnitude: magnitude,
-      method: directionMethod
-    };
-  }
-
-  // Calculate finger convergence direction - where all fingers are pointing
-  calculateFingerConvergenceDirection(leftHand, rightHand) {
-    // Validate input parameters
-    if (!leftHand || !rightHand) {
-      return null;
-    }
-    
-    const leftWrist = this.getConsistentKeypoint(leftHand, "wrist");
-    const rightWrist = this.getConsistentKeypoint(rightHand, "wrist");
-    
-    // Get finger tips using consistent coordinate system
-    const leftMiddle = this.getConsistentKeypoint(leftHand, "middle_finger_tip");
-    const rightMiddle = this.getConsistentKeypoint(rightHand, "middle_finger_tip");
-    const leftIndex = this.getConsistentKeypoint(leftHand, "index_finger_tip");
-    const rightIndex = this.getConsistentKeypoint(rightHand, "index_finger_tip");
-    
-    // Make sure we have the necessary keypoints
-    if (!leftWrist || !rightWrist || !leftMiddle || !rightMiddle) {
-      return null;
-    }
-    
-    // Calculate direction vectors from wrists to fingers (primary: middle finger)
-    const leftFingerDir = {
-      x: leftMiddle.x - leftWrist.x,
-      y: leftMiddle.y - leftWrist.y
-    };
-    
-    const rightFingerDir = {
-      x: rightMiddle.x - rightWrist.x,
-      y: rightMiddle.y - rightWrist.y
-    };
-    
-    // If we have index fingers, use both for better accuracy
-    let avgLeftDir = leftFingerDir;
-    let avgRightDir = rightFingerDir;
-    
-    if (leftIndex && rightIndex) {
-      const leftIndexDir = {
-        x: leftIndex.x - leftWrist.x,
-        y: leftIndex.y - leftWrist.y
-      };
-      const rightIndexDir = {
-        x: rightIndex.x - rightWrist.x,
-        y: rightIndex.y - rightWrist.y
-      };
-      
-      // Average middle and index finger directions
-      avgLeftDir = {
-        x: (leftFingerDir.x + leftIndexDir.x) / 2,
-        y: (leftFingerDir.y + leftIndexDir.y) / 2
-      };
-      avgRightDir = {
-        x: (rightFingerDir.x + rightIndexDir.x) / 2,
-        y: (rightFingerDir.y + rightIndexDir.y) / 2
-      };
-    }
-    
-    // Calculate the beam direction as average of both hands
-    const beamDirection = {
-      x: (avgLeftDir.x + avgRightDir.x) / 2,
-      y: (avgLeftDir.y + avgRightDir.y) / 2
-    };
-    
-    // Normalize the direction vector
-    const magnitude = Math.sqrt(beamDirection.x * beamDirection.x + beamDirection.y * beamDirection.y);
-
-    if (magnitude < 10) { // Minimum threshold for meaningful direction
-      return null;
-    }
-
-    const normalizedDirection = {
-      x: beamDirection.x / magnitude,
-      y: beamDirection.y / magnitude
-    };
-    
-    // Calculate the angle of the direction vector
-    const directionAngle = Math.atan2(normalizedDirection.y, normalizedDirection.x);
-    
-    // Ensure the beam points away from the body
-    // In a typical Kamehameha pose, the beam should point forward (positive x)
-    // If the angle is in the left half-plane (negative x), flip the direction
-    if (Math.abs(directionAngle) > Math.PI / 2) {
-      normalizedDirection.x = -normalizedDirection.x;
-      normalizedDirection.y = -normalizedDirection.y;
-    }
-    
-    console.log('🎯 Finger convergence direction:', 
-      `(${normalizedDirection.x.toFixed(3)}, ${normalizedDirection.y.toFixed(3)})`,
-      `angle: ${(directionAngle * 180 / Math.PI).toFixed(1)}°`
-    );
-    
-    return normalizedDirection;
-  }
-
-  // Helper method to calculate palm-facing direction (alternative approach)
-  calculatePalmFacingDirection(leftHand, rightHand) {
-    // Validate input parameters
-    if (!leftHand || !rightHand) {
-      console.log('🎯 Error: Missing hand data for palm direction calculation');
-      return null;
-    }
-    
-    const leftWrist = leftHand.keypoints.find(kp => kp.name === 'wrist');
-    const rightWrist = rightHand.keypoints.find(kp => kp.name === 'wrist');
-    const leftMiddle = leftHand.keypoints.find(kp => kp.name === 'middle_finger_tip');
-    const rightMiddle = rightHand.keypoints.find(kp => kp.name === 'middle_finger_tip');
-    const leftIndex = leftHand.keypoints.find(kp => kp.name === 'index_finger_tip');
-    const rightIndex = rightHand.keypoints.find(kp => kp.name === 'index_finger_tip');
-
-    if (!leftWrist || !rightWrist || !leftMiddle || !rightMiddle) {
-      console.log('🎯 Error: Missing keypoints for palm direction calculation');
-      return null;
-    }
-
-    // Calculate palm direction vectors using both middle and index fingers for better accuracy
-    let leftPalmDir, rightPalmDir;
-    
-    if (leftIndex && rightIndex) {
-      // Use average of middle and index finger directions for more accurate palm orientation
-      leftPalmDir = {
-        x: ((leftMiddle.x + leftIndex.x) / 2) - leftWrist.x,
-        y: ((leftMiddle.y + leftIndex.y) / 2) - leftWrist.y
-      };
-      rightPalmDir = {
-        x: ((rightMiddle.x + rightIndex.x) / 2) - rightWrist.x,
-        y: ((rightMiddle.y + rightIndex.y) / 2) - rightWrist.y
-      };
-    } else {
-      // Fallback to just middle finger direction
-      leftPalmDir = {
-        x: leftMiddle.x - leftWrist.x,
-        y: leftMiddle.y - leftWrist.y
-      };
-      rightPalmDir = {
-        x: rightMiddle.x - rightWrist.x,
-        y: rightMiddle.y - rightWrist.y
-      };
-    }
-
-    // Average the two palm directions and NEGATE to point away from palms
-    const avgPalmDir = {
-      x: -((leftPalmDir.x + rightPalmDir.x) / 2),  // Negated to point away from palms
-      y: -((leftPalmDir.y + rightPalmDir.y) / 2)   // Negated to point away from palms
-    };
-
-    // Normalize the direction vector
-    const magnitude = Math.sqrt(avgPalmDir.x * avgPalmDir.x + avgPalmDir.y * avgPalmDir.y);
-    
-    if (magnitude === 0) {
-      console.log('🎯 Warning: Zero magnitude in palm direction calculation');
-      return null;
-    }
-    
-    const normalizedDirection = {
-      x: avgPalmDir.x / magnitude,
-      y: avgPalmDir.y / magnitude
-    };
-    
-    // Ensure the beam points away from the body
-    // Check if the direction is pointing towards the body (negative x)
-    if (normalizedDirection.x < 0) {
-      normalizedDirection.x = -normalizedDirection.x;
-      normalizedDirection.y = -normalizedDirection.y;
-    }
-    
-    console.log(`🎯 Palm facing direction: (${normalizedDirection.x.toFixed(3)}, ${normalizedDirection.y.toFixed(3)})`);
-    
-    return normalizedDirection;
-  }
-
-  // Check if hands are in firing position (kamehameha_firing_pose using TensorFlow keypoints)
-  isInFiringPosition(hands) {
-    if (!hands || hands.length !== 2) {
-      console.log("🚀 Kamehameha Firing Check: Need exactly 2 hands");
-      return false;
-    }
-
+  // Where the beam would go if fired now: the same V between the wrists and the fingertips
+  // as the fired beam (calculateThrustDirection), so the preview and the beam agree. null
+  // without both hands.
+  calculateChargingAim(hands) {
+    if (!hands || hands.length !== 2) return null;
     const [leftHand, rightHand] = this.identifyHands(hands);
-    if (!leftHand || !rightHand) {
-      console.log("🚀 Kamehameha Firing Check: Could not identify hands");
-      return false;
-    }
-
-    // Get required keypoints for kamehameha_firing_pose detection
-    const leftWrist = leftHand.keypoints.find((kp) => kp.name === "wrist");
-    const rightWrist = rightHand.keypoints.find((kp) => kp.name === "wrist");
-    const leftThumb = leftHand.keypoints.find((kp) => kp.name === "thumb_tip");
-    const rightThumb = rightHand.keypoints.find(
-      (kp) => kp.name === "thumb_tip"
-    );
-    const leftIndex = leftHand.keypoints.find(
-      (kp) => kp.name === "index_finger_tip"
-    );
-    const rightIndex = rightHand.keypoints.find(
-      (kp) => kp.name === "index_finger_tip"
-    );
-    const leftMiddle = leftHand.keypoints.find(
-      (kp) => kp.name === "middle_finger_tip"
-    );
-    const rightMiddle = rightHand.keypoints.find(
-      (kp) => kp.name === "middle_finger_tip"
-    );
-
-    if (
-      !leftWrist ||
-      !rightWrist ||
-      !leftThumb ||
-      !rightThumb ||
-      !leftIndex ||
-      !rightIndex ||
-      !leftMiddle ||
-      !rightMiddle
-    ) {
-      console.log(
-        "🚀 Kamehameha Firing Check: Missing required keypoints for pose analysis"
-      );
-      return false;
-    }
-
-    // Analyze kamehameha_firing_pose using 5-point scoring system (removed forward extension)
-    let poseScore = 0;
-    const scoreDetails = [];
-
-
-    // 2. Fingers curved consistently around imaginary energy sphere
-    const fingersCurved = this.checkFingersCurved(leftHand, rightHand);
-    if (fingersCurved.isValid) {
-      poseScore++;
-      scoreDetails.push("✅ Fingers curved properly");
-    } else {
-      scoreDetails.push("❌ Fingers not curved properly");
-    }
-
-    // 3. Hands tightly aligned and symmetrical
-    const handsAligned = this.checkHandsAligned(
-      leftWrist,
-      rightWrist,
-      leftHand,
-      rightHand
-    );
-    if (handsAligned.isValid) {
-      poseScore++;
-      scoreDetails.push("✅ Hands aligned symmetrically");
-    } else {
-      scoreDetails.push("❌ Hands not aligned");
-    }
-
-    // 4. Wrists slightly rotated inward
-    const wristsRotated = this.checkWristsRotated(leftHand, rightHand);
-    if (wristsRotated.isValid) {
-      poseScore++;
-      scoreDetails.push("✅ Wrists rotated inward");
-    } else {
-      scoreDetails.push("❌ Wrists not rotated inward");
-    }
-
-    // 5. Energy sphere formation (palms facing inward, fingers forming circle)
-    const energySphere = this.checkEnergySphereFormation(leftHand, rightHand);
-    if (energySphere.isValid) {
-      poseScore++;
-      scoreDetails.push("✅ Energy sphere formation detected");
-    } else {
-      scoreDetails.push("❌ Energy sphere formation not detected");
-    }
-
-    // More tolerant firing detection: require at least 2 out of 5 criteria (reduced from 3)
-    // This makes firing more stable and less likely to end due to minor hand movements
-    const isFiringPose = poseScore >= 2;
-
-    // Only log significant state changes, not every frame
-    if (!this.previousFiringScore) this.previousFiringScore = 0;
-    
-    if (isFiringPose && this.previousFiringScore < 2) {
-      console.log(`🚀 FIRING POSE DETECTED! Score: ${poseScore}/5 (tolerant threshold)`);
-    } else if (!isFiringPose && this.previousFiringScore >= 2) {
-      console.log(`🚀 FIRING POSE LOST! Score: ${poseScore}/5 (below tolerant threshold)`);
-    }
-    
-    this.previousFiringScore = poseScore;
-
-    return isFiringPose;
+    if (!leftHand || !rightHand) return null;
+    const aim = this.calculateThrustDirection(hands);
+    return aim.method === "default" ? null : aim;
   }
 
   // Check if fingers are curved around imaginary sphere (criterion 3)
@@ -1243,12 +742,13 @@ export class KamehamehaDetector {
       "index_finger_tip",
       "middle_finger_tip",
       "ring_finger_tip",
-      "pinky_tip",
+      "pinky_finger_tip",
     ];
     const rightFingers = [
       "index_finger_tip",
       "middle_finger_tip",
-      "ring_finger_tip",      "pinky_tip",
+      "ring_finger_tip",
+      "pinky_finger_tip",
     ];
 
     const leftWrist = leftHand.keypoints.find((kp) => kp.name === "wrist");
@@ -1300,15 +800,15 @@ export class KamehamehaDetector {
       return { isValid: false, reason: "Insufficient finger keypoints" };
     }
 
-    const avgLeftCurvature = leftCurvature / leftCount;
-    const avgRightCurvature = rightCurvature / rightCount;
-    const expectedCurvature = 40; // Expected curvature for energy sphere grip
-    const tolerance = 20;
+    // Tip-to-knuckle length in hand sizes, per hand
+    const avgLeftCurvature = leftCurvature / leftCount / this.getHandScale(leftHand);
+    const avgRightCurvature =
+      rightCurvature / rightCount / this.getHandScale(rightHand);
+    // Expected curvature for energy sphere grip: 0.67 ± 0.33 hand sizes (40px ± 20px)
+    const { min, max } = FIRING_POSE_RANGES.fingersCurved;
 
-    const leftValid =
-      Math.abs(avgLeftCurvature - expectedCurvature) < tolerance;
-    const rightValid =
-      Math.abs(avgRightCurvature - expectedCurvature) < tolerance;
+    const leftValid = avgLeftCurvature > min && avgLeftCurvature < max;
+    const rightValid = avgRightCurvature > min && avgRightCurvature < max;
     const isValid = leftValid && rightValid;
 
     return {
@@ -1324,16 +824,19 @@ export class KamehamehaDetector {
   // Check if hands are aligned and symmetrical (criterion 4)
   checkHandsAligned(leftWrist, rightWrist, leftHand, rightHand) {
     // Check horizontal alignment (similar y coordinates)
-    const verticalAlignment = Math.abs(leftWrist.y - rightWrist.y);
-    const maxVerticalOffset = 30; // 30px tolerance
+    const ranges = FIRING_POSE_RANGES.handsAligned;
+    const handScale = this.getPairScale(leftHand, rightHand);
+    const verticalAlignment = Math.abs(leftWrist.y - rightWrist.y) / handScale;
+    const maxVerticalOffset = ranges.verticalOffset.max; // Half a hand size of tolerance
 
     // Check if hands are at reasonable distance (not too close, not too far)
-    const handDistance = Math.sqrt(
-      Math.pow(leftWrist.x - rightWrist.x, 2) +
-        Math.pow(leftWrist.y - rightWrist.y, 2)
-    );
-    const minDistance = 80;
-    const maxDistance = 200;
+    const handDistance =
+      Math.sqrt(
+        Math.pow(leftWrist.x - rightWrist.x, 2) +
+          Math.pow(leftWrist.y - rightWrist.y, 2)
+      ) / handScale;
+    const minDistance = ranges.distance.min;
+    const maxDistance = ranges.distance.max;
 
     const isAligned =
       verticalAlignment < maxVerticalOffset &&
@@ -1377,9 +880,12 @@ export class KamehamehaDetector {
     const leftRotationDeg = (leftRotation * 180) / Math.PI;
     const rightRotationDeg = (rightRotation * 180) / Math.PI;
 
-    // Check if rotations indicate inward orientation
-    const leftInward = leftRotationDeg > -45 && leftRotationDeg < 45; // Pointing right-ish
-    const rightInward = rightRotationDeg > 135 || rightRotationDeg < -135; // Pointing left-ish
+    // Check if rotations indicate inward orientation: degrees away from pointing at the other hand
+    const leftInwardOffset = Math.abs(leftRotationDeg); // Pointing right-ish
+    const rightInwardOffset = 180 - Math.abs(rightRotationDeg); // Pointing left-ish
+    const maxOffset = FIRING_POSE_RANGES.wristsRotatedInward.max;
+    const leftInward = leftInwardOffset < maxOffset;
+    const rightInward = rightInwardOffset < maxOffset;
 
     const isValid = leftInward && rightInward;
 
@@ -1387,6 +893,8 @@ export class KamehamehaDetector {
       isValid,
       leftRotationDeg,
       rightRotationDeg,
+      leftInwardOffset,
+      rightInwardOffset,
       reason: isValid
         ? "Wrists rotated inward properly"
         : "Wrist rotation not inward",
@@ -1444,21 +952,27 @@ export class KamehamehaDetector {
         Math.pow(rightMiddle.y - centerY, 2)
     );
 
-    // Check if distances are similar (forming a sphere)
+    // Check if distances are similar (forming a sphere), in hand sizes
+    const handScale = this.getPairScale(leftHand, rightHand);
     const avgDistance =
-      (leftIndexDist + rightIndexDist + leftMiddleDist + rightMiddleDist) / 4;
-    const tolerance = 20;
+      (leftIndexDist + rightIndexDist + leftMiddleDist + rightMiddleDist) /
+      4 /
+      handScale;
+    const ranges = FIRING_POSE_RANGES.energySphere;
+    const tolerance = ranges.variance.max;
 
     const distanceVariance = [
-      Math.abs(leftIndexDist - avgDistance),
-      Math.abs(rightIndexDist - avgDistance),
-      Math.abs(leftMiddleDist - avgDistance),
-      Math.abs(rightMiddleDist - avgDistance),
+      Math.abs(leftIndexDist / handScale - avgDistance),
+      Math.abs(rightIndexDist / handScale - avgDistance),
+      Math.abs(leftMiddleDist / handScale - avgDistance),
+      Math.abs(rightMiddleDist / handScale - avgDistance),
     ];
 
     const maxVariance = Math.max(...distanceVariance);
     const isValid =
-      maxVariance < tolerance && avgDistance > 30 && avgDistance < 100;
+      maxVariance < tolerance &&
+      avgDistance > ranges.radius.min &&
+      avgDistance < ranges.radius.max;
 
     return {
       isValid,
@@ -1470,10 +984,17 @@ export class KamehamehaDetector {
     };
   }
 
-  // Identify which hand is left and which is right based on x position
+  // Identify which hand is left and which is right.
+  // Hands annotated by HandTracker keep their role across frames; otherwise fall back to x position.
   identifyHands(hands) {
     if (hands.length !== 2) return [null, null];
 
+    const trackedLeft = hands.find((hand) => hand.role === "left");
+    const trackedRight = hands.find((hand) => hand.role === "right");
+    if (trackedLeft && trackedRight) {
+      return [trackedLeft, trackedRight];
+    }
+
     const hand1 = hands[0];
     const hand2 = hands[1];
 
@@ -1511,254 +1032,333 @@ export class KamehamehaDetector {
     }
   }
 
+  // Charging progress in the debug log, every 25%
+  logChargingProgress() {
+    const progressPercent = Math.round(
+      (this.chargingDuration / this.getFullChargeTime()) * 100
+    );
+    if (progressPercent % 25 === 0 && progressPercent !== this.lastLoggedProgress) {
+      this.logger.debug(
+        `⚡ CHARGING: ${this.chargingDuration}ms (${progressPercent}%) - Min: ${this.minimumChargingTime}ms`
+      );
+      this.lastLoggedProgress = progressPercent;
+    }
+  }
+
+  // Aim the beam where the hands point now (called every firing frame the pose is held)
+  updateBeamDirection(newDirection) {
+    if (!newDirection) return;
+    // Only log if direction changes significantly (more than 5 degrees)
+    const angleDiff = Math.abs(newDirection.angle - this.lastBeamAngle);
+    if (angleDiff > 5 * Math.PI / 180) {
+      this.logger.debug(`🎯 Beam direction updated: ${(newDirection.angle * 180 / Math.PI).toFixed(1)}° (${newDirection.vector.x.toFixed(2)}, ${newDirection.vector.y.toFixed(2)})`);
+      this.lastBeamAngle = newDirection.angle;
+    }
+    this.beamDirection = newDirection;
+  }
+
   // Main detection function to be called on each frame
-  detectGesture(hands) {
+  // timestamp: capture time of the frame in ms (defaults to the injected clock)
+  // faces: face landmarks from @tensorflow-models/face-landmarks-detection (MediaPipe
+  // FaceMesh keypoints, video pixels), for the techniques that use the face
+  // shouting: whether the microphone hears a shout (lib/shoutDetector.js)
+  detectGesture(hands, timestamp = this.clock(), { faces = [], shouting = false } = {}) {
+    // Up to four hands may be detected: keep the most plausible pair, and keep the same
+    // pair while a gesture is in progress so a bystander's hand cannot take over
+    hands = this.pairSelector.select(hands, this.gestureState !== "idle");
+
     // Store current hands reference for helper methods
     this.currentHands = hands;
+    this.currentFaces = faces || [];
+    this.shouting = shouting;
+    this.currentTime = timestamp;
+    this.chargingPoseAnalysis = null;
+    this.firingPoseAnalysis = null;
     
-    // If no hands detected, reset to idle state
     if (!hands || hands.length === 0) {
       this.currentHands = null; // Clear hands reference
+      this.handPositionHistory = []; // A thrust is measured from when the hands are back
+    }
+
+    // If no hands detected, reset to idle state, unless the phase goes on without them (like
+    // a thrown Spirit Bomb) or waits for them to come back (a charge drains for
+    // chargeGraceTime, like when one hand is lost)
+    if ((!hands || hands.length === 0) && this.engine.needsHands() && !this.engine.waitsForPose()) {
       const previousState = this.gestureState;
       if (this.gestureState !== 'idle') {
-        console.log(`🎯 STATE CHANGE: ${this.gestureState} → idle (no hands detected)`);
+        this.logger.info(`🎯 STATE CHANGE: ${this.gestureState} → idle (no hands detected)`);
+        const ending = { technique: this.engine.technique.name, chargingDuration: this.chargingDuration };
         this.gestureState = 'idle';
-        this.positioningFrameCount = 0;
+        this.stateStartTime = timestamp;
+        this.positioningDuration = 0;
         this.firingFrameCount = 0;
-        this.firingStabilityCounter = 0;
         this.chargingDuration = 0;
-        
-        // Call callback if state changed
+        this.engines.forEach((engine) => engine.reset(timestamp));
+        this.engine = this.engines[0];
+        this.blockedEngines.clear();
 
-        if (previousState !== this.gestureState && this.onGestureChange) {
-          this.onGestureChange(this.gestureState, this.getGestureData());
-        }
+        this.emitStateChange({ from: previousState, to: "idle", reason: "no hands detected" }, ending);
       }
       
       return this.getGestureData();
     }
 
     // Update hand position tracking
-    this.updateHandPositionHistory(hands);
+    this.updateHandPositionHistory(hands, timestamp);
+    this.updateSingleHandHistory(hands, timestamp);
 
-    const currentTime = Date.now();
+    const currentTime = timestamp;
     const previousState = this.gestureState;
 
-    switch (this.gestureState) {
-      case "idle":
-        if (this.isInStartingPosition(hands)) {
-          console.log("🎯 STATE CHANGE: idle → positioning");
-          this.gestureState = "positioning";
-          this.stateStartTime = currentTime;
-          this.positioningFrameCount = 1;
-        }
-        break;
-
-      case "positioning":
-        if (this.isInStartingPosition(hands)) {
-          this.positioningFrameCount++;
-          // Only log progress at key milestones
-          if (this.positioningFrameCount % 5 === 0 || this.positioningFrameCount >= 15) {
-            console.log(
-              `⏱️ POSITIONING: Frame ${this.positioningFrameCount}/15 (need 15 to advance)`
-            );
-          }
-          // Need to hold position for at least 15 frames (~0.5 second at 30fps)
-          if (this.positioningFrameCount >= 15) {
-            console.log("🎯 STATE CHANGE: positioning → charging");
-            this.gestureState = "charging";
-            this.stateStartTime = currentTime;
-            this.chargingDuration = 0;
-            // Store the charging position for direction calculation
-            if (this.handPositionHistory.length > 0) {
-              this.chargingPosition = {
-                ...this.handPositionHistory[
-                  this.handPositionHistory.length - 1
-                ],
-              };
-            }
-          }
-        } else {
-          // Lost position, reset
-          console.log("🎯 STATE CHANGE: positioning → idle (lost position)");
-          this.gestureState = "idle";
-          this.positioningFrameCount = 0;
-        }
-        break;
-
-      case "charging":
-        if (this.isInStartingPosition(hands)) {
-          this.chargingDuration = currentTime - this.stateStartTime;
-          const progressPercent = Math.round(
-            (this.chargingDuration / this.maxChargingTime) * 100
-          );
-          
-          // Only log charging progress every 25% or at key milestones
-          if (progressPercent % 25 === 0 && progressPercent !== this.lastLoggedProgress) {
-            console.log(
-              `⚡ CHARGING: ${this.chargingDuration}ms (${progressPercent}%) - Min: ${this.minimumChargingTime}ms`
-            );
-            this.lastLoggedProgress = progressPercent;
-          }
-
-          // Allow charging for up to 5 seconds
-          if (this.chargingDuration >= this.maxChargingTime) {
-            console.log(
-              "🎯 STATE CHANGE: charging → idle (max charge time reached)"
-            );
-            this.gestureState = "idle"; // Reset if charging too long
-          }
+    // The technique's phases drive the state (see lib/gestureEngine.js). While idle every
+    // technique looks for its starting pose and the first to find it takes over (the
+    // highest priority one when several find it on the same frame). Only that one starts,
+    // so the others' onEnter hooks never run.
+    let transition = null;
+    const poseLostSince = this.gestureState === "idle" ? null : this.engine.poseLostTime;
+    if (this.gestureState === "idle") {
+      const priorityOf = (engine) => engine.technique.priority || 0;
+      let starting = null;
+      this.engines.forEach((engine) => {
+        if (!engine.detectStart(hands, timestamp)) {
+          this.blockedEngines.delete(engine);
         } else if (
-          this.isInFiringPosition(hands) &&
-          this.chargingDuration >= this.minimumChargingTime
+          !this.blockedEngines.has(engine) &&
+          (!starting || priorityOf(engine) > priorityOf(starting))
         ) {
-          // Calculate allowed firing duration based on charging time
-          // Linear scaling: 5 seconds charging = 1.875 seconds firing, 20 seconds charging = 15 seconds firing
-          const chargingRatio = Math.min(this.chargingDuration / this.maxChargingTime, 1.0);
-          this.allowedFiringDuration = Math.max(
-            1875, // Minimum 1.875 seconds firing (5s charge * 0.375)
-            chargingRatio * this.maxFiringDuration
-          );
-          this.firingStartTime = currentTime;
-          
-          console.log(`🎯 STATE CHANGE: charging → firing (thrust detected!)`);
-          console.log(`⚡ Charged for ${this.chargingDuration}ms, allowed firing: ${this.allowedFiringDuration}ms`);
-          
-          this.gestureState = "firing";
-          this.stateStartTime = currentTime;
-          this.firingFrameCount = 1;
-          this.firingStabilityCounter = 0; // Reset stability counter when starting firing
-          // Use 3D direction if possible
-          this.beamDirection = this.calculateThrustDirection(hands);
-        } else {
-          // Lost position too early, reset
-          console.log(
-            `🎯 STATE CHANGE: charging → idle (lost position, charged: ${this.chargingDuration}ms)`
-          );
-          this.gestureState = "idle";
-        }
-        break;
-
-      case "firing":
-        if (this.isInFiringPosition(hands)) {
-          // Valid firing position - reset stability counter and continue firing
-          this.firingStabilityCounter = 0;
-          this.firingFrameCount++;
-          const currentFiringDuration = currentTime - this.firingStartTime;
-          
-          // Update beam direction every frame for smooth control
-          const newDirection = this.calculateThrustDirection(hands);
-          if (newDirection) {
-            // Only log if direction changes significantly (more than 5 degrees)
-            const angleDiff = Math.abs(newDirection.angle - this.lastBeamAngle);
-            if (angleDiff > 5 * Math.PI / 180) {
-              console.log(`🎯 Beam direction updated: ${(newDirection.angle * 180 / Math.PI).toFixed(1)}° (${newDirection.vector.x.toFixed(2)}, ${newDirection.vector.y.toFixed(2)})`);
-              this.lastBeamAngle = newDirection.angle;
-            }
-            this.beamDirection = newDirection;
-          }
-          
-          // Check if firing duration limit has been reached
-          if (currentFiringDuration >= this.allowedFiringDuration) {
-            console.log(`🎯 STATE CHANGE: firing → idle (firing duration limit reached: ${currentFiringDuration}ms/${this.allowedFiringDuration}ms)`);
-            this.gestureState = "idle"; // End firing due to duration limit
-          }
-          // Also check minimum firing frames (at least 4 seconds at 30fps for longer firing duration)
-          else if (this.firingFrameCount >= 120) {
-            console.log("🎯 STATE CHANGE: firing → idle (minimum firing duration complete)");
-            this.gestureState = "idle"; // Complete gesture
-          }
-        } else {
-          // Invalid firing position - increment stability counter
-          this.firingStabilityCounter++;
-          console.log(`🎯 Firing pose lost temporarily (${this.firingStabilityCounter}/${this.firingStabilityThreshold})`);
-          
-          // Only end firing after consecutive invalid frames to prevent flickering
-          if (this.firingStabilityCounter >= this.firingStabilityThreshold) {
-            console.log("🎯 STATE CHANGE: firing → idle (firing motion ended - stability threshold reached)");
-            this.gestureState = "idle";
-          }
-          // Continue firing during temporary pose loss
-          this.firingFrameCount++;
+          starting = engine;
         }
-        break;
+      });
+      this.engine = starting || this.engines[0];
+      if (starting) {
+        this.chargingAim = null; // Set again by the new technique if it previews its aim
+        transition = starting.start();
+      }
+    } else {
+      transition = this.engine.step(hands, timestamp);
+      if (transition && transition.to === "idle") {
+        // Hands still held out after a gesture (a Kamehameha's open palms look like a Final
+        // Flash's) must not start another technique until they leave that pose, nor the same
+        // one again right after its beam
+        this.engines
+          .filter((engine) => engine !== this.engine || transition.from === "firing")
+          .forEach((engine) => this.blockedEngines.add(engine));
+      }
     }
-
-    // Call callback if state changed
-    if (previousState !== this.gestureState && this.onGestureChange) {
-      console.log(
-        `🔄 Gesture callback triggered: ${previousState} → ${this.gestureState}`
+    this.chargingPoseAnalysis = this.engine.poseAnalyses.charging || null;
+    this.firingPoseAnalysis = this.engine.poseAnalyses.firing || null;
+    if (transition) {
+      this.logger.info(
+        `🎯 STATE CHANGE: ${transition.from} → ${transition.to} (${this.engine.technique.name}: ${transition.reason})`
       );
-      this.onGestureChange(this.gestureState, {
+      this.gestureState = transition.to;
+      this.stateStartTime = currentTime;
+    }
+
+    if (transition) {
+      this.emitStateChange(transition, {
+        technique: this.engine.technique.name,
         chargingDuration: this.chargingDuration,
-        chargingProgress: Math.min(
-          this.chargingDuration / this.maxChargingTime,
-          1.0
-        ),
-        firingFrameCount: this.firingFrameCount,
+      });
+    } else {
+      this.emitPoseEvents(poseLostSince);
+    }
+    this.emitProgressEvents();
+
+    return this.getGestureData();
+  }
+
+  // Subscribe to a detector event (see lib/detectorEvents.js); returns an unsubscribe function
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
+
+  // Events of a state change. `technique` and `chargingDuration` are the gesture's as it
+  // changed: going back to idle clears them.
+  emitStateChange({ from, to, reason }, { technique, chargingDuration }) {
+    const timestamp = this.currentTime;
+    const data = this.getGestureData();
+    this.logger.debug(`🔄 Gesture events: ${from} → ${to}`);
+    this.events.emit("stateChange", { technique, timestamp, from, to, reason, data });
+    if (this.onGestureChange) {
+      this.onGestureChange(to, data);
+    }
+
+    if (to === "positioning") {
+      this.lastPositioningProgress = null;
+    } else if (to === "charging") {
+      this.lastChargeMilestone = 0;
+    } else if (to === "firing") {
+      this.events.emit("fired", {
+        technique,
+        timestamp,
+        projectile: this.getProjectile(),
+        power: Math.min(chargingDuration / this.getFullChargeTime(), 1.0),
+        chargingDuration,
         allowedFiringDuration: this.allowedFiringDuration,
-        currentFiringDuration: this.gestureState === "firing" ? (currentTime - this.firingStartTime) : 0,
+        direction: this.beamDirection,
       });
     }
+    if (from === "charging" && to !== "firing") {
+      this.events.emit("fizzled", { technique, timestamp, reason, chargingDuration });
+    }
+    if (from === "firing") {
+      this.events.emit("firingEnded", {
+        technique,
+        timestamp,
+        reason,
+        firingDuration: timestamp - this.firingStartTime,
+      });
+    }
+  }
 
-    // Calculate energy sphere center if hands are available for charging state
-    let energySphereCenter = null;
-    if (hands && hands.length === 2 && this.gestureState === "charging") {
-      const [leftHand, rightHand] = this.identifyHands(hands);
-      if (leftHand && rightHand) {
-        energySphereCenter = this.calculateEnergySphereCenter(
-          leftHand,
-          rightHand
-        );
+  // poseLost / poseRegained when the phase's pose went or came back without a state change
+  // (poseLostSince: the engine's poseLostTime before this frame)
+  emitPoseEvents(poseLostSince) {
+    if (this.gestureState === "idle") return;
+    const lostTime = this.engine.poseLostTime;
+    if ((poseLostSince === null) === (lostTime === null)) return;
+
+    const payload = {
+      technique: this.engine.technique.name,
+      timestamp: this.currentTime,
+      phase: this.gestureState,
+      pose: this.engine.technique.phases[this.gestureState].pose,
+    };
+    if (lostTime !== null) {
+      this.events.emit("poseLost", payload);
+    } else {
+      this.events.emit("poseRegained", { ...payload, lostFor: this.currentTime - poseLostSince });
+    }
+  }
+
+  // positioningProgress and chargeMilestone events of the frame
+  emitProgressEvents() {
+    const technique = this.getTechniqueName();
+    const timestamp = this.currentTime;
+    if (this.gestureState === "positioning") {
+      const progress = this.positioningHoldTime > 0
+        ? Math.min(this.positioningDuration / this.positioningHoldTime, 1.0)
+        : 0;
+      if (progress !== this.lastPositioningProgress) {
+        this.lastPositioningProgress = progress;
+        this.events.emit("positioningProgress", {
+          technique,
+          timestamp,
+          progress,
+          positioningDuration: this.positioningDuration,
+        });
+      }
+    } else if (this.gestureState === "charging") {
+      const progress = Math.min(this.chargingDuration / this.getFullChargeTime(), 1.0);
+      const reached = Math.floor(progress * 4) * 25;
+      while (this.lastChargeMilestone < reached) {
+        this.lastChargeMilestone += 25;
+        this.events.emit("chargeMilestone", {
+          technique,
+          timestamp,
+          milestone: this.lastChargeMilestone,
+          chargingDuration: this.chargingDuration,
+        });
       }
     }
+  }
 
-    return {
-      state: this.gestureState,
-      chargingDuration: this.chargingDuration,
-      chargingProgress: Math.min(
-        this.chargingDuration / this.maxChargingTime,
-        1.0
-      ),
-      firingFrameCount: this.firingFrameCount,
-      firingDirection: this.beamDirection,
-      energySphereCenter: energySphereCenter,
-      allowedFiringDuration: this.allowedFiringDuration,
-      currentFiringDuration: this.gestureState === "firing" ? (currentTime - this.firingStartTime) : 0,
-      firingProgress: this.allowedFiringDuration > 0 && this.gestureState === "firing" 
-        ? Math.min((currentTime - this.firingStartTime) / this.allowedFiringDuration, 1.0) 
-        : 0,
-    };
+  // Name of the technique being performed, null while idle
+  getTechniqueName() {
+    return this.gestureState === "idle" ? null : this.engine.technique.name;
+  }
+
+  // The hand performing a one-hand technique (from its last pose analysis), null otherwise
+  getActiveHand() {
+    if (this.gestureState === "idle") return null;
+    const analysis = [this.firingPoseAnalysis, this.chargingPoseAnalysis].find(
+      (candidate) => candidate && candidate.hand
+    );
+    return analysis ? analysis.hand : null;
+  }
+
+  // ms of charging for a full charge: the technique's own chargeTime, if it has one
+  getFullChargeTime() {
+    const { chargeTime } = this.engine.technique;
+    return this.gestureState === "idle" || chargeTime === undefined
+      ? this.maxChargingTime
+      : this.engine.resolve(chargeTime);
+  }
+
+  // FaceMesh keypoint indices read by the techniques (sorted, empty when none uses the face)
+  getFaceKeypoints() {
+    const indices = new Set(this.engines.flatMap((engine) => engine.technique.faceKeypoints || []));
+    return [...indices].sort((a, b) => a - b);
   }
 
-  // Helper method to get current gesture data
+  // Whether the next frame needs face landmarks: a technique using the face could start
+  // (idle with hands in frame, as of the last frame) or is under way
+  needsFaces() {
+    if (this.gestureState !== "idle") return this.engine.needsFaces();
+    return !!this.currentHands && this.currentHands.length > 0 &&
+      this.engines.some((engine) => engine.usesFaces());
+  }
+
+  // What the technique releases when firing ("beam", "sphere", "flash" or "blast"), null while idle
+  getProjectile() {
+    return this.gestureState === "idle" ? null : this.engine.technique.projectile || "beam";
+  }
+
+  // Helper method to get current gesture data for the last processed frame
   getGestureData() {
-    const currentTime = Date.now();
+    const currentTime = this.currentTime;
     
-    // Calculate energy sphere center if hands are available for charging state
-    let energySphereCenter = null;
-    if (this.currentHands && this.currentHands.length === 2 && this.gestureState === "charging") {
+    // The two hands of the gesture, in [left, right] order
+    let activeHands = null;
+    if (this.currentHands && this.currentHands.length === 2) {
       const [leftHand, rightHand] = this.identifyHands(this.currentHands);
       if (leftHand && rightHand) {
-        energySphereCenter = this.calculateEnergySphereCenter(leftHand, rightHand);
+        activeHands = [leftHand, rightHand];
       }
     }
 
+    // Calculate energy sphere center if hands are available for charging state
+    let energySphereCenter = null;
+    if (activeHands && this.gestureState === "charging") {
+      energySphereCenter = this.calculateEnergySphereCenter(...activeHands);
+    }
+
     return {
       state: this.gestureState,
+      technique: this.getTechniqueName(),
+      projectile: this.getProjectile(),
+      timestamp: currentTime,
+      positioningDuration: this.gestureState === "positioning" ? this.positioningDuration : 0,
+      positioningProgress: this.gestureState === "positioning" && this.positioningHoldTime > 0
+        ? Math.min(this.positioningDuration / this.positioningHoldTime, 1.0)
+        : 0,
       chargingDuration: this.chargingDuration,
       chargingProgress: Math.min(
-        this.chargingDuration / this.maxChargingTime,
+        this.chargingDuration / this.getFullChargeTime(),
         1.0
       ),
+      // The charging pose is lost and the charge drains until it comes back (see chargeDrainRate)
+      chargeDraining: this.gestureState === "charging" && this.engine.isDraining(),
       firingFrameCount: this.firingFrameCount,
       firingDirection: this.beamDirection,
+      // Where the beam would go if fired now (view space, like firingDirection), while charging
+      aimPreview: this.gestureState === "charging" ? this.chargingAim : null,
       energySphereCenter: energySphereCenter,
+      activeHands,
+      activeHand: this.getActiveHand(),
       allowedFiringDuration: this.allowedFiringDuration,
       currentFiringDuration: this.gestureState === "firing" ? (currentTime - this.firingStartTime) : 0,
       firingProgress: this.allowedFiringDuration > 0 && this.gestureState === "firing" 
         ? Math.min((currentTime - this.firingStartTime) / this.allowedFiringDuration, 1.0) 
         : 0,
+      // { score, maxScore, threshold, passed, criteria: [{ name, passed, value, expected, unit }] }
+      chargingPose: this.chargingPoseAnalysis,
+      firingPose: this.firingPoseAnalysis,
     };
   }
 
@@ -1767,12 +1367,24 @@ export class KamehamehaDetector {
     this.gestureState = "idle";
     this.stateStartTime = 0;
     this.chargingDuration = 0;
-    this.positioningFrameCount = 0;
+    this.positioningDuration = 0;
     this.firingFrameCount = 0;
     this.firingStartTime = 0;
     this.allowedFiringDuration = 0;
-    this.firingStabilityCounter = 0; // Reset stability counter
+    this.chargingAim = null;
+    this.lastPositioningProgress = null;
+    this.lastChargeMilestone = 0;
+    this.engines.forEach((engine) => engine.reset());
+    this.engine = this.engines[0];
+    this.blockedEngines.clear();
     this.gestureHistory = [];
+    this.handPositionHistory = [];
     this.currentHands = null; // Reset current hands reference
+    this.currentFaces = [];
+    this.shouting = false;
+    this.singleHandHistory.clear();
+    this.pairSelector.reset();
+    this.chargingPoseAnalysis = null;
+    this.firingPoseAnalysis = null;
   }
 }
@@ -1,13 +1,52 @@
 // Enhanced Dragon Ball style Kamehameha visual effects
+import { createLogger } from './logger.js';
+import { CoordinateSpace } from './coordinateSpace.js';
+import { SPIRIT_BOMB_TIMING } from './techniques/spiritBomb.js';
+import { KI_BLAST_TIMING } from './techniques/kiBlast.js';
+
+// Per-technique look (gestureData.technique). Effects are drawn in the Kamehameha's blue
+// palette; a CSS filter recolors them for other techniques, whites stay white. beam: 'spiral'
+// draws a thin spiral beam from the fingertips of a one-hand technique instead.
+export const TECHNIQUE_STYLES = {
+    kamehameha: { filter: null },
+    finalFlash: { filter: 'sepia(1) saturate(3)' }, // Golden yellow
+    spiritBomb: { filter: null },
+    specialBeamCannon: { filter: null, beam: 'spiral' }, // Own yellow and purple colors
+    solarFlare: { filter: null },
+    kiBlast: { filter: null }, // Own yellow colors
+};
+
+// Photosensitivity limits for full-screen flashes, after WCAG 2.3.1 (no more than three
+// flashes in any one second): a flash never covers the frame with more than maxOpacity of
+// white and cannot start within minInterval ms of the previous one, whichever player set it
+// off (players share the canvas)
+export const FLASH_LIMITS = { maxOpacity: 0.6, minInterval: 1000 };
+let lastFlashTime = -Infinity;
+
+// Ki blasts in the air at once: balls come from a fixed pool reused shot after shot, the
+// oldest one recycled when all are flying
+const KI_BLAST_POOL_SIZE = 12;
+
+// Shortest a beam coming straight at the camera gets on screen, as a share of its length
+const MIN_BEAM_FORESHORTENING = 0.35;
+
 /**
  * Dragon Ball‑style Kamehameha VFX engine.
  * Renders the charging energy sphere, beam, lightning, and shock‑wave
  * on an HTML canvas based on hand‑pose gesture state.
  */
 export class KamehamehaEffects {
-    constructor(canvas, ctx) {
+    // logger: namespaced logger from lib/logger.js (errors only by default)
+    // coordinateSpace: the detector's CoordinateSpace, used to turn view-space beam directions into canvas angles
+    // hueShift: degrees to rotate the effect colors by, to tell players apart in local multiplayer
+    // maxFlashOpacity: lowers FLASH_LIMITS.maxOpacity, e.g. for players who prefer reduced motion
+    constructor(canvas, ctx, { logger = createLogger().child('effects'), coordinateSpace = new CoordinateSpace(), hueShift = 0, maxFlashOpacity = FLASH_LIMITS.maxOpacity } = {}) {
         this.canvas = canvas;
         this.ctx = ctx;
+        this.logger = logger;
+        this.coordinateSpace = coordinateSpace;
+        this.hueShift = hueShift;
+        this.maxFlashOpacity = Math.min(maxFlashOpacity, FLASH_LIMITS.maxOpacity);
         this.particles = [];
         this.beamParticles = [];
         this.energyRings = [];
@@ -19,6 +58,11 @@ export class KamehamehaEffects {
         this.shockwaveRings = [];
         this.beamTrails = [];
         this.explosionParticles = [];
+        this.spiritBomb = null; // Last charging sphere { x, y, radius }, where a throw starts
+        this.spiritBombImpact = null; // Where the thrown sphere landed, once it has
+        this.solarFlareCenter = null; // Where the Solar Flare charges
+        this.solarFlareFlash = null; // Whether the current Solar Flare may flash, once known
+        this.kiBlasts = Array.from({ length: KI_BLAST_POOL_SIZE }, () => ({ active: false, age: 0 }));
         this.time = 0;
         this.lastTime = Date.now();
         
@@ -77,6 +121,39 @@ export class KamehamehaEffects {
         this.drawEnergyField(centerX, centerY, radius, chargingProgress);
     }
 
+    // Faint guide line and reticle along the charging aim (gestureData.aimPreview, view space),
+    // from the energy sphere, so the player can aim before firing. Firmer as the charge grows.
+    drawAimPreview(aim, sphereCenter, chargingProgress) {
+        const origin = sphereCenter || this.coordinateSpace.fromView(aim.origin);
+        const angle = this.coordinateSpace.fromViewAngle(aim.angle);
+        const length = Math.max(this.canvas.width, this.canvas.height) * 0.35;
+        const targetX = origin.x + Math.cos(angle) * length;
+        const targetY = origin.y + Math.sin(angle) * length;
+        const reticleRadius = 14;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.2 + 0.3 * chargingProgress;
+        this.ctx.strokeStyle = '#00FFFF';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([10, 8]);
+        this.ctx.lineDashOffset = -this.time * 40; // Dashes flow toward the target
+        this.ctx.beginPath();
+        this.ctx.moveTo(origin.x + Math.cos(angle) * 60, origin.y + Math.sin(angle) * 60); // Past the sphere, even fully charged
+        this.ctx.lineTo(targetX - Math.cos(angle) * reticleRadius, targetY - Math.sin(angle) * reticleRadius);
+        this.ctx.stroke();
+
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+        this.ctx.arc(targetX, targetY, reticleRadius, 0, Math.PI * 2);
+        for (let i = 0; i < 4; i++) {
+            const tickAngle = angle + i * Math.PI / 2;
+            this.ctx.moveTo(targetX + Math.cos(tickAngle) * reticleRadius * 0.5, targetY + Math.sin(tickAngle) * reticleRadius * 0.5);
+            this.ctx.lineTo(targetX + Math.cos(tickAngle) * reticleRadius * 1.5, targetY + Math.sin(tickAngle) * reticleRadius * 1.5);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
     // Draw the main energy sphere with layered effects
     drawMainEnergySphere(centerX, centerY, radius, chargingProgress) {
         this.ctx.save();
@@ -493,8 +570,45 @@ export class KamehamehaEffects {
         };
     }
 
+    // Beam length and erasure progress for a firing frame, or null once the beam has disappeared
+    getBeamPhase(firingFrameCount) {
+        // Beam parameters - Slowed for better user experience
+        const maxBeamLength = this.canvas.width * 1.2;
+        const growthFrames = Math.ceil(maxBeamLength / 8); // Frames needed to reach full length
+        const sustainFrames = 30; // Frames to sustain at full length
+        const erasureFrames = 60; // Frames for traveling erasure effect
+        
+        // Calculate beam phases
+        const totalBeamFrames = growthFrames + sustainFrames + erasureFrames;
+        let beamLength, erasureProgress = 0;
+        
+        if (firingFrameCount <= growthFrames) {
+            // Growth phase: beam extends toward target
+            beamLength = Math.min(firingFrameCount * 8, maxBeamLength);
+        } else if (firingFrameCount <= growthFrames + sustainFrames) {
+            // Sustain phase: beam at full length
+            beamLength = maxBeamLength;
+        } else if (firingFrameCount <= totalBeamFrames) {
+            // Erasure phase: beam travels away from origin
+            beamLength = maxBeamLength;
+            const erasureFrameCount = firingFrameCount - growthFrames - sustainFrames;
+            erasureProgress = erasureFrameCount / erasureFrames; // 0 to 1
+        } else {
+            // Beam completely disappeared
+            return null;
+        }
+        return { beamLength, erasureProgress, maxBeamLength };
+    }
+
+    // How far the beam reaches at this firing frame (0 once it has disappeared)
+    getBeamLength(firingFrameCount) {
+        const phase = this.getBeamPhase(firingFrameCount);
+        return phase ? phase.beamLength : 0;
+    }
+
     // Enhanced energy beam with Dragon Ball characteristics
-    drawEnergyBeam(hands, firingFrameCount, firingDirection = null) {
+    // beamTarget: point the beam is aimed at and stops at, e.g. the clash point of a beam struggle
+    drawEnergyBeam(hands, firingFrameCount, firingDirection = null, beamTarget = null) {
         if (!hands || hands.length !== 2) return;
 
         // Save canvas state at the beginning to prevent canvas corruption
@@ -516,52 +630,41 @@ export class KamehamehaEffects {
         const originY = (wrist1.y + wrist2.y) / 2;
 
         // 3D perspective enhancement
-        let perspective = 1, dz = 0;
+        let perspective = 1, dz = 0, foreshortening = 1;
         let beamAngle = 0;
         if (firingDirection && firingDirection.vector3D) {
             const { x: dx, y: dy, z } = firingDirection.vector3D;
             dz = z;
-            // 2D angle for canvas - account for mirrored canvas (scaleX(-1))
-            beamAngle = Math.atan2(dy, dx);
-            // Since canvas is mirrored with scaleX(-1), we need to flip the x-component of the angle
-            beamAngle = Math.PI - beamAngle;
+            // Beam directions are in view space; convert to the canvas (video space) angle
+            beamAngle = this.coordinateSpace.fromViewAngle(Math.atan2(dy, dx));
             // Perspective: dz > 0 means toward camera, scale up width/glow
-            perspective = 1 + Math.max(0, dz) * 2.2; // exaggerate for effect
+            perspective = firingDirection.perspective ?? 1 + Math.max(0, dz) * 2.2; // exaggerate for effect
+            // A beam coming at the camera looks shorter on screen, but never shrinks to a dot
+            foreshortening = Math.max(MIN_BEAM_FORESHORTENING, Math.hypot(dx, dy));
         } else if (firingDirection && typeof firingDirection.angle === 'number') {
-            beamAngle = firingDirection.angle;
-            // Since canvas is mirrored with scaleX(-1), we need to flip the angle
-            beamAngle = Math.PI - beamAngle;
+            beamAngle = this.coordinateSpace.fromViewAngle(firingDirection.angle);
+        }
+        let beamLimit = null;
+        if (beamTarget) {
+            beamAngle = Math.atan2(beamTarget.y - originY, beamTarget.x - originX);
+            beamLimit = Math.hypot(beamTarget.x - originX, beamTarget.y - originY);
         }
 
         // DEBUG LOGS FOR BEAM DIRECTION
-        console.log(`🔥 BEAM DEBUG: origin=(${originX.toFixed(1)}, ${originY.toFixed(1)}), raw_angle=${firingDirection?.angle ? (firingDirection.angle * 180 / Math.PI).toFixed(1) : 'none'}°, mirrored_angle=${(beamAngle * 180 / Math.PI).toFixed(1)}°, vector=${firingDirection?.vector ? `(${firingDirection.vector.x.toFixed(2)}, ${firingDirection.vector.y.toFixed(2)})` : 'none'}`);
+        if (this.logger.isEnabled('trace')) {
+            this.logger.trace(`🔥 BEAM DEBUG: origin=(${originX.toFixed(1)}, ${originY.toFixed(1)}), view_angle=${firingDirection?.angle ? (firingDirection.angle * 180 / Math.PI).toFixed(1) : 'none'}°, canvas_angle=${(beamAngle * 180 / Math.PI).toFixed(1)}°, vector=${firingDirection?.vector ? `(${firingDirection.vector.x.toFixed(2)}, ${firingDirection.vector.y.toFixed(2)})` : 'none'}`);
+        }
 
-        // Beam parameters - Slowed for better user experience
-        const maxBeamLength = this.canvas.width * 1.2;
-        const growthFrames = Math.ceil(maxBeamLength / 8); // Frames needed to reach full length
-        const sustainFrames = 30; // Frames to sustain at full length
-        const erasureFrames = 60; // Frames for traveling erasure effect
-        
-        // Calculate beam phases
-        const totalBeamFrames = growthFrames + sustainFrames + erasureFrames;
-        let beamLength, erasureProgress = 0;
-        
-        if (firingFrameCount <= growthFrames) {
-            // Growth phase: beam extends toward target
-            beamLength = Math.min(firingFrameCount * 8, maxBeamLength);
-        } else if (firingFrameCount <= growthFrames + sustainFrames) {
-            // Sustain phase: beam at full length
-            beamLength = maxBeamLength;
-        } else if (firingFrameCount <= totalBeamFrames) {
-            // Erasure phase: beam travels away from origin
-            beamLength = maxBeamLength;
-            const erasureFrameCount = firingFrameCount - growthFrames - sustainFrames;
-            erasureProgress = erasureFrameCount / erasureFrames; // 0 to 1
-        } else {
+        const phase = this.getBeamPhase(firingFrameCount);
+        if (!phase) {
             // Beam completely disappeared
             this.ctx.restore();
             return;
         }
+        const { erasureProgress } = phase;
+        const maxBeamLength = phase.maxBeamLength * foreshortening;
+        const fullLength = phase.beamLength * foreshortening;
+        const beamLength = beamLimit === null ? fullLength : Math.min(fullLength, beamLimit);
         
         // Calculate beam width with cylindrical taper
         const sphereMaxRadius = 90; // Increased from 80 to 90 for an even larger beam base
@@ -617,8 +720,8 @@ export class KamehamehaEffects {
         this.ctx.restore();
 
 
-        // 10. Draw impact effects when beam reaches target
-        if (beamLength >= maxBeamLength * 0.8) {
+        // 10. Draw impact effects when beam reaches target (a clashing beam ends in the clash instead)
+        if (beamLimit === null && beamLength >= maxBeamLength * 0.8) {
             const impactX = originX + Math.cos(beamAngle) * beamLength;
             const impactY = originY + Math.sin(beamAngle) * beamLength;
             this.drawEnhancedBeamImpact(impactX, impactY, firingFrameCount);
@@ -872,6 +975,629 @@ export class KamehamehaEffects {
         this.ctx.restore();
     }
 
+    // Beam struggle clash point: a white-hot core with flickering spikes where two beams meet.
+    // position (0-1) tilts the spray toward the player being pushed back.
+    drawBeamClash(x, y, angle, frameCount, position = 0.5) {
+        const pulse = 1 + Math.sin(frameCount * 0.6) * 0.15;
+        const coreRadius = 28 * pulse;
+        const rng = this.seededRandom(frameCount);
+
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+
+        // Outer glow
+        const glow = this.ctx.createRadialGradient(x, y, 0, x, y, coreRadius * 3);
+        glow.addColorStop(0, 'rgba(255, 255, 255, 0.95)');
+        glow.addColorStop(0.25, 'rgba(255, 240, 150, 0.7)');
+        glow.addColorStop(0.6, 'rgba(255, 140, 60, 0.3)');
+        glow.addColorStop(1, 'rgba(255, 100, 50, 0)');
+        this.ctx.fillStyle = glow;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, coreRadius * 3, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        // Energy spikes sprayed perpendicular to the beams, leaning toward the losing side
+        const sideAngle = angle + Math.PI / 2;
+        const lean = (position - 0.5) * 1.2;
+        this.ctx.lineCap = 'round';
+        this.ctx.shadowBlur = 10;
+        this.ctx.shadowColor = '#FFFFFF';
+        for (let i = 0; i < 14; i++) {
+            const side = i % 2 === 0 ? 0 : Math.PI;
+            const spikeAngle = sideAngle + side + (rng() - 0.5) * 1.4 + lean;
+            const length = coreRadius * (1.5 + rng() * 2.5);
+            this.ctx.strokeStyle = `rgba(255, ${200 + Math.floor(rng() * 55)}, ${120 + Math.floor(rng() * 135)}, ${0.5 + rng() * 0.5})`;
+            this.ctx.lineWidth = 1 + rng() * 3;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(x + Math.cos(spikeAngle) * length, y + Math.sin(spikeAngle) * length);
+            this.ctx.stroke();
+        }
+
+        // White-hot core
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 1)';
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, coreRadius * 0.6, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.restore();
+    }
+
+    // Spirit Bomb radius for a charge level (0-1): it ends up far bigger than a Kamehameha
+    getSpiritBombRadius(chargingProgress) {
+        const size = Math.min(this.canvas.width, this.canvas.height);
+        return size * (0.08 + 0.22 * chargingProgress);
+    }
+
+    // Spirit Bomb charging: a large sphere gathering above the raised hands, fed by energy
+    // streaming in from the edges of the frame
+    drawSpiritBombCharging(hands, chargingProgress) {
+        if (!hands || hands.length !== 2) return;
+
+        const points = hands.flatMap(hand =>
+            hand.keypoints.filter(kp => kp.name === 'wrist' || kp.name === 'middle_finger_tip')
+        );
+        if (points.length === 0) return;
+
+        // Just above the highest fingertip, kept mostly inside the frame
+        const radius = this.getSpiritBombRadius(chargingProgress);
+        const centerX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const topY = Math.min(...points.map(point => point.y));
+        const centerY = Math.max(topY - radius * 1.1, radius * 0.5);
+        // Remembered so the throw starts where the sphere was
+        this.spiritBomb = { x: centerX, y: centerY, radius };
+
+        this.updateSpiritBombInflow(centerX, centerY, radius, chargingProgress);
+        this.drawSpiritBombInflow();
+
+        // Visible from the start: the sphere grows rather than fades in
+        const intensity = Math.max(chargingProgress, 0.4);
+        this.drawMainEnergySphere(centerX, centerY, radius, intensity);
+        this.drawEnergyLightning(centerX, centerY, radius, chargingProgress);
+    }
+
+    // Energy specks spawned on the frame edges that fly into the sphere and are absorbed
+    updateSpiritBombInflow(centerX, centerY, radius, chargingProgress) {
+        const seconds = Math.min(this.deltaTime, 100) / 1000; // No jump after a stall
+        const spawnCount = Math.round(2 + 6 * chargingProgress);
+        for (let i = 0; i < spawnCount; i++) {
+            const edge = Math.floor(Math.random() * 4); // Top, right, bottom, left
+            const along = Math.random();
+            this.particles.push({
+                x: edge === 1 ? this.canvas.width : edge === 3 ? 0 : along * this.canvas.width,
+                y: edge === 0 ? 0 : edge === 2 ? this.canvas.height : along * this.canvas.height,
+                dirX: 0,
+                dirY: 0,
+                speed: 250 + Math.random() * 350, // px per second
+                size: 1.5 + Math.random() * 2.5,
+                color: Math.random() > 0.5 ? '#FFFFFF' : '#87CEEB'
+            });
+        }
+
+        this.particles = this.particles.filter(particle => {
+            const dx = centerX - particle.x;
+            const dy = centerY - particle.y;
+            const distance = Math.hypot(dx, dy);
+            const step = particle.speed * seconds;
+            if (distance - step <= radius) return false;
+            particle.dirX = dx / distance;
+            particle.dirY = dy / distance;
+            particle.x += particle.dirX * step;
+            particle.y += particle.dirY * step;
+            return true;
+        });
+        // Keep the oldest specks from piling up on slow devices
+        if (this.particles.length > 400) {
+            this.particles.splice(0, this.particles.length - 400);
+        }
+    }
+
+    // Inflow specks drawn as short streaks trailing behind them
+    drawSpiritBombInflow() {
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+        this.ctx.lineCap = 'round';
+        this.ctx.shadowBlur = 8;
+        this.particles.forEach(particle => {
+            const trail = particle.speed * 0.04;
+            this.ctx.globalAlpha = 0.8;
+            this.ctx.strokeStyle = particle.color;
+            this.ctx.shadowColor = particle.color;
+            this.ctx.lineWidth = particle.size;
+            this.ctx.beginPath();
+            this.ctx.moveTo(particle.x - particle.dirX * trail, particle.y - particle.dirY * trail);
+            this.ctx.lineTo(particle.x, particle.y);
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    // Thrown Spirit Bomb: the sphere flies along the throw, growing as it comes at the camera,
+    // then explodes where it lands
+    drawSpiritBombThrow(gestureData) {
+        const { flightTime, impactTime } = SPIRIT_BOMB_TIMING;
+        const start = this.spiritBomb || {
+            x: this.canvas.width / 2,
+            y: this.canvas.height * 0.25,
+            radius: this.getSpiritBombRadius(gestureData.chargingProgress || 0)
+        };
+
+        // Landing point: along the throw on screen, as far as the throw was across rather
+        // than toward the camera, kept inside the frame
+        const direction = gestureData.firingDirection || {};
+        const vector3D = direction.vector3D || { x: Math.cos(direction.angle || 0), y: Math.sin(direction.angle || 0), z: 0 };
+        const angle = this.coordinateSpace.fromViewAngle(Math.atan2(vector3D.y, vector3D.x));
+        const travel = Math.hypot(vector3D.x, vector3D.y) * Math.max(this.canvas.width, this.canvas.height) * 0.6;
+        const margin = start.radius * 0.5;
+        const landingX = Math.min(Math.max(start.x + Math.cos(angle) * travel, margin), this.canvas.width - margin);
+        const landingY = Math.min(Math.max(start.y + Math.sin(angle) * travel, margin), this.canvas.height - margin);
+        const growth = 1 + 1.5 * Math.max(0, vector3D.z || 0);
+
+        const elapsed = gestureData.currentFiringDuration || 0;
+        if (elapsed < flightTime) {
+            // Slow to leave the hands, then picking up speed
+            const eased = Math.pow(elapsed / flightTime, 2);
+            const x = start.x + (landingX - start.x) * eased;
+            const y = start.y + (landingY - start.y) * eased;
+            const radius = start.radius * (1 + (growth - 1) * eased);
+            this.drawMainEnergySphere(x, y, radius, 1);
+            this.drawEnergyLightning(x, y, radius, 1);
+            return;
+        }
+
+        const radius = start.radius * growth;
+        if (!this.spiritBombImpact) {
+            this.spiritBombImpact = { x: landingX, y: landingY, radius, flash: this.startFlash() };
+            this.spawnExplosionParticles(landingX, landingY, radius);
+        }
+        const impact = this.spiritBombImpact;
+        this.drawSpiritBombImpact(impact.x, impact.y, impact.radius, Math.min((elapsed - flightTime) / impactTime, 1), impact.flash);
+    }
+
+    // Debris thrown out of an explosion, animated by updateExplosionParticles
+    spawnExplosionParticles(x, y, radius, count = 90) {
+        for (let i = 0; i < count; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = radius * (1.5 + Math.random() * 3); // px per second
+            this.explosionParticles.push({
+                x: x + Math.cos(angle) * radius * 0.3,
+                y: y + Math.sin(angle) * radius * 0.3,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: 2 + Math.random() * 5,
+                life: 1,
+                decay: 0.5 + Math.random() * 0.7, // Life lost per second
+                color: this.getRandomSparkColor()
+            });
+        }
+    }
+
+    // Move, fade and draw the explosion debris; called every frame so it settles even after
+    // the gesture has ended
+    updateExplosionParticles() {
+        if (this.explosionParticles.length === 0) return;
+        const seconds = Math.min(this.deltaTime, 100) / 1000;
+
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+        this.ctx.shadowBlur = 10;
+        this.explosionParticles = this.explosionParticles.filter(particle => {
+            particle.life -= particle.decay * seconds;
+            if (particle.life <= 0) return false;
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+            particle.vx *= 1 - 1.5 * seconds; // Air drag
+            particle.vy *= 1 - 1.5 * seconds;
+
+            this.ctx.globalAlpha = particle.life;
+            this.ctx.fillStyle = particle.color;
+            this.ctx.shadowColor = particle.color;
+            this.ctx.beginPath();
+            this.ctx.arc(particle.x, particle.y, particle.size * (0.5 + particle.life * 0.5), 0, Math.PI * 2);
+            this.ctx.fill();
+            return true;
+        });
+        this.ctx.restore();
+    }
+
+    // Spirit Bomb explosion: a brief white flash (when `flash`, see startFlash), a dome of
+    // energy swelling from the landing point and a shockwave ring running ahead of it.
+    // progress goes from 0 to 1.
+    drawSpiritBombImpact(x, y, radius, progress, flash = false) {
+        const swell = 1 - Math.pow(1 - progress, 3); // Fast at first, then settling
+        const fade = 1 - progress;
+        const domeRadius = radius * (1 + 3 * swell);
+
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+
+        // Short, soft flash over the whole frame right at impact
+        if (flash && progress < 0.15) {
+            this.drawScreenFlash(0.35 * (1 - progress / 0.15));
+        }
+
+        const dome = this.ctx.createRadialGradient(x, y, 0, x, y, domeRadius);
+        dome.addColorStop(0, `rgba(255, 255, 255, ${0.9 * fade})`);
+        dome.addColorStop(0.4, `rgba(150, 220, 255, ${0.6 * fade})`);
+        dome.addColorStop(0.8, `rgba(0, 200, 255, ${0.3 * fade})`);
+        dome.addColorStop(1, 'rgba(0, 0, 139, 0)');
+        this.ctx.fillStyle = dome;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, domeRadius, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.strokeStyle = `rgba(0, 255, 255, ${0.7 * fade})`;
+        this.ctx.lineWidth = 4 + 8 * fade;
+        this.ctx.shadowBlur = 20;
+        this.ctx.shadowColor = '#00FFFF';
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, domeRadius * 1.3, 0, Math.PI * 2);
+        this.ctx.stroke();
+
+        this.ctx.restore();
+    }
+
+    // Midpoint of the index and middle fingertips of a hand, or null
+    getFingertipPoint(hand) {
+        if (!hand) return null;
+        const indexTip = hand.keypoints.find(kp => kp.name === 'index_finger_tip');
+        const middleTip = hand.keypoints.find(kp => kp.name === 'middle_finger_tip');
+        if (!indexTip || !middleTip) return null;
+        return { x: (indexTip.x + middleTip.x) / 2, y: (indexTip.y + middleTip.y) / 2 };
+    }
+
+    // Special Beam Cannon charging: a small crackling orb on the two fingertips
+    drawFingertipCharge(hand, chargingProgress) {
+        const tip = this.getFingertipPoint(hand);
+        if (!tip) return;
+
+        const radius = 6 + 10 * chargingProgress;
+        const rng = this.seededRandom(this.frameCount);
+
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+
+        const glow = this.ctx.createRadialGradient(tip.x, tip.y, 0, tip.x, tip.y, radius * 2.5);
+        glow.addColorStop(0, 'rgba(255, 255, 255, 0.95)');
+        glow.addColorStop(0.3, 'rgba(255, 235, 59, 0.7)');
+        glow.addColorStop(0.7, 'rgba(184, 77, 255, 0.25)');
+        glow.addColorStop(1, 'rgba(184, 77, 255, 0)');
+        this.ctx.fillStyle = glow;
+        this.ctx.beginPath();
+        this.ctx.arc(tip.x, tip.y, radius * 2.5, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        // Short sparks crackling around the orb, more of them as the charge builds
+        const sparkCount = Math.floor(3 + 9 * chargingProgress);
+        this.ctx.lineWidth = 1.5;
+        this.ctx.shadowBlur = 6;
+        this.ctx.shadowColor = '#FFEB3B';
+        for (let i = 0; i < sparkCount; i++) {
+            const angle = rng() * Math.PI * 2;
+            const length = radius * (1 + rng() * 1.5);
+            this.ctx.strokeStyle = rng() > 0.5 ? 'rgba(255, 235, 59, 0.9)' : 'rgba(200, 130, 255, 0.9)';
+            this.ctx.beginPath();
+            this.ctx.moveTo(tip.x + Math.cos(angle) * radius * 0.5, tip.y + Math.sin(angle) * radius * 0.5);
+            this.ctx.lineTo(tip.x + Math.cos(angle + (rng() - 0.5) * 0.6) * length, tip.y + Math.sin(angle + (rng() - 0.5) * 0.6) * length);
+            this.ctx.stroke();
+        }
+
+        this.ctx.restore();
+    }
+
+    // Special Beam Cannon: a thin yellow core with a purple spiral wound around it, fired from
+    // the two fingertips. Grows and fades like drawEnergyBeam (getBeamPhase); beamTarget too.
+    drawSpiralBeam(hand, firingFrameCount, firingDirection = null, beamTarget = null) {
+        const origin = this.getFingertipPoint(hand);
+        const phase = this.getBeamPhase(firingFrameCount);
+        if (!origin || !phase) return;
+
+        let angle = 0;
+        if (firingDirection && firingDirection.vector3D) {
+            angle = this.coordinateSpace.fromViewAngle(Math.atan2(firingDirection.vector3D.y, firingDirection.vector3D.x));
+        } else if (firingDirection && typeof firingDirection.angle === 'number') {
+            angle = this.coordinateSpace.fromViewAngle(firingDirection.angle);
+        }
+        let length = phase.beamLength;
+        if (beamTarget) {
+            angle = Math.atan2(beamTarget.y - origin.y, beamTarget.x - origin.x);
+            length = Math.min(length, Math.hypot(beamTarget.x - origin.x, beamTarget.y - origin.y));
+        }
+        // The erasure eats the beam from the fingertips outward
+        const start = length * phase.erasureProgress;
+        if (length - start < 1) return;
+
+        const dirX = Math.cos(angle);
+        const dirY = Math.sin(angle);
+        const at = (distance, offset) => ({
+            x: origin.x + dirX * distance - dirY * offset,
+            y: origin.y + dirY * distance + dirX * offset
+        });
+        const from = at(start, 0);
+        const to = at(length, 0);
+
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+        this.ctx.lineCap = 'round';
+
+        // Core: soft yellow glow around a white-hot line
+        [[10, 'rgba(255, 235, 59, 0.35)', 16], [3, 'rgba(255, 255, 220, 1)', 6]].forEach(([width, color, blur]) => {
+            this.ctx.lineWidth = width;
+            this.ctx.strokeStyle = color;
+            this.ctx.shadowBlur = blur;
+            this.ctx.shadowColor = '#FFEB3B';
+            this.ctx.beginPath();
+            this.ctx.moveTo(from.x, from.y);
+            this.ctx.lineTo(to.x, to.y);
+            this.ctx.stroke();
+        });
+
+        // Spiral: two strands half a turn apart, winding forward along the core
+        const radius = 9;
+        const twist = 0.12; // Radians per pixel along the beam
+        this.ctx.lineWidth = 2;
+        this.ctx.shadowBlur = 8;
+        this.ctx.shadowColor = '#B84DFF';
+        [0, Math.PI].forEach(strand => {
+            this.ctx.strokeStyle = 'rgba(184, 77, 255, 0.9)';
+            this.ctx.beginPath();
+            for (let distance = start; distance <= length; distance += 4) {
+                const point = at(distance, Math.sin(distance * twist - this.time * 20 + strand) * radius);
+                if (distance === start) {
+                    this.ctx.moveTo(point.x, point.y);
+                } else {
+                    this.ctx.lineTo(point.x, point.y);
+                }
+            }
+            this.ctx.stroke();
+        });
+
+        // Piercing point at the head of the beam
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.shadowBlur = 12;
+        this.ctx.shadowColor = '#FFEB3B';
+        this.ctx.beginPath();
+        this.ctx.arc(to.x, to.y, 5, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.restore();
+    }
+
+    // Launch a ki blast from the palm that pushed, along the push (gestureData.firingDirection)
+    launchKiBlast(gestureData) {
+        const hand = gestureData.activeHand;
+        const wrist = hand && hand.keypoints.find(kp => kp.name === 'wrist');
+        const middleMcp = hand && hand.keypoints.find(kp => kp.name === 'middle_finger_mcp');
+        const direction = gestureData.firingDirection || {};
+        let origin;
+        if (wrist && middleMcp) {
+            origin = { x: (wrist.x + middleMcp.x) / 2, y: (wrist.y + middleMcp.y) / 2 };
+        } else if (direction.origin) {
+            origin = this.coordinateSpace.fromView(direction.origin);
+        } else {
+            return;
+        }
+        const handSize = wrist && middleMcp ? Math.hypot(middleMcp.x - wrist.x, middleMcp.y - wrist.y) : 40;
+
+        // Across the screen as far as the push went sideways, growing as much as it came at the camera
+        const vector3D = direction.vector3D || { x: Math.cos(direction.angle || 0), y: Math.sin(direction.angle || 0), z: 0 };
+        const screen = this.coordinateSpace.fromViewVector({ x: vector3D.x, y: vector3D.y });
+        const reach = Math.max(this.canvas.width, this.canvas.height);
+
+        // A free ball from the pool, or the one flying the longest when all are in the air
+        const blast = this.kiBlasts.find(ball => !ball.active) ||
+            this.kiBlasts.reduce((oldest, ball) => (ball.age > oldest.age ? ball : oldest));
+        Object.assign(blast, {
+            active: true,
+            age: 0, // ms since launch
+            impactAge: null, // ms since it burst, once it has
+            x: origin.x,
+            y: origin.y,
+            vx: screen.x * reach, // px per second
+            vy: screen.y * reach,
+            radius: handSize * 0.4,
+            growth: 1 + 3 * Math.max(0, vector3D.z || 0) // Size when it bursts, compared to launch
+        });
+    }
+
+    // Move, burst and draw the ki blasts in the air; called every frame so they finish their
+    // flight even after the gesture has ended (and while the next one is fired)
+    updateKiBlasts() {
+        const { flightTime, impactTime } = KI_BLAST_TIMING;
+        const elapsed = Math.min(this.deltaTime, 100);
+
+        this.kiBlasts.forEach(blast => {
+            if (!blast.active) return;
+            blast.age += elapsed;
+            const radius = blast.radius * (1 + (blast.growth - 1) * Math.min(blast.age / flightTime, 1));
+
+            if (blast.impactAge === null) {
+                blast.x += blast.vx * elapsed / 1000;
+                blast.y += blast.vy * elapsed / 1000;
+                const outside = blast.x < -radius || blast.x > this.canvas.width + radius ||
+                    blast.y < -radius || blast.y > this.canvas.height + radius;
+                if (outside) {
+                    blast.active = false;
+                } else if (blast.age >= flightTime) {
+                    blast.impactAge = 0;
+                    this.spawnExplosionParticles(blast.x, blast.y, radius, 12);
+                } else {
+                    this.drawKiBlast(blast.x, blast.y, radius, blast.vx, blast.vy);
+                }
+                return;
+            }
+
+            blast.impactAge += elapsed;
+            const progress = blast.impactAge / impactTime;
+            if (progress >= 1) {
+                blast.active = false;
+                return;
+            }
+            this.drawKiBlastImpact(blast.x, blast.y, radius, progress);
+        });
+    }
+
+    // One ki blast in flight: a bright ball with a short trail behind it
+    drawKiBlast(x, y, radius, vx, vy) {
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+
+        const speed = Math.hypot(vx, vy);
+        if (speed > 0) {
+            const trail = Math.min(speed * 0.08, radius * 4);
+            const tail = this.ctx.createLinearGradient(x, y, x - vx / speed * trail, y - vy / speed * trail);
+            tail.addColorStop(0, 'rgba(255, 220, 100, 0.6)');
+            tail.addColorStop(1, 'rgba(255, 160, 0, 0)');
+            this.ctx.strokeStyle = tail;
+            this.ctx.lineWidth = radius * 1.2;
+            this.ctx.lineCap = 'round';
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(x - vx / speed * trail, y - vy / speed * trail);
+            this.ctx.stroke();
+        }
+
+        const ball = this.ctx.createRadialGradient(x, y, 0, x, y, radius * 1.5);
+        ball.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        ball.addColorStop(0.4, 'rgba(255, 240, 150, 0.9)');
+        ball.addColorStop(0.7, 'rgba(255, 180, 0, 0.5)');
+        ball.addColorStop(1, 'rgba(255, 120, 0, 0)');
+        this.ctx.fillStyle = ball;
+        this.ctx.shadowBlur = 15;
+        this.ctx.shadowColor = '#FFD700';
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius * 1.5, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.restore();
+    }
+
+    // A ki blast bursting: a small flash where it hit (never the whole frame) and a ring.
+    // progress goes from 0 to 1.
+    drawKiBlastImpact(x, y, radius, progress) {
+        const fade = 1 - progress;
+        const burstRadius = radius * (1.5 + 2.5 * Math.sqrt(progress));
+
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+
+        const flash = this.ctx.createRadialGradient(x, y, 0, x, y, burstRadius);
+        flash.addColorStop(0, `rgba(255, 255, 255, ${0.8 * fade})`);
+        flash.addColorStop(0.5, `rgba(255, 220, 120, ${0.5 * fade})`);
+        flash.addColorStop(1, 'rgba(255, 150, 0, 0)');
+        this.ctx.fillStyle = flash;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, burstRadius, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.strokeStyle = `rgba(255, 215, 0, ${0.7 * fade})`;
+        this.ctx.lineWidth = 2 + 3 * fade;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, burstRadius * 1.2, 0, Math.PI * 2);
+        this.ctx.stroke();
+
+        this.ctx.restore();
+    }
+
+    // Claim a full-screen flash (see FLASH_LIMITS): false when one went off too recently
+    startFlash() {
+        const now = Date.now();
+        if (now - lastFlashTime < FLASH_LIMITS.minInterval) return false;
+        lastFlashTime = now;
+        return true;
+    }
+
+    // Cover the whole frame with white light, never above this.maxFlashOpacity; brightest
+    // at `center` when given
+    drawScreenFlash(opacity, center = null) {
+        const alpha = Math.min(opacity, this.maxFlashOpacity);
+        if (!(alpha > 0)) return;
+
+        this.ctx.save();
+        if (center) {
+            const reach = Math.hypot(this.canvas.width, this.canvas.height);
+            const light = this.ctx.createRadialGradient(center.x, center.y, 0, center.x, center.y, reach);
+            light.addColorStop(0, `rgba(255, 255, 245, ${alpha})`);
+            light.addColorStop(1, `rgba(255, 255, 245, ${alpha * 0.6})`);
+            this.ctx.fillStyle = light;
+        } else {
+            this.ctx.fillStyle = `rgba(255, 255, 255, ${alpha})`;
+        }
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
+    }
+
+    // Middle of the wrists of a pair of hands, or null
+    getWristCenter(hands) {
+        if (!hands || hands.length !== 2) return null;
+        const wrists = hands.map(hand => hand.keypoints.find(kp => kp.name === 'wrist'));
+        if (!wrists[0] || !wrists[1]) return null;
+        return { x: (wrists[0].x + wrists[1].x) / 2, y: (wrists[0].y + wrists[1].y) / 2 };
+    }
+
+    // Solar Flare charging: light gathering in front of the face, between the hands
+    drawSolarFlareCharging(hands, chargingProgress) {
+        const center = this.getWristCenter(hands);
+        if (!center) return;
+        this.solarFlareCenter = center; // Where the flash goes off if the hands leave the frame
+
+        const radius = 20 + 40 * chargingProgress;
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+        const glow = this.ctx.createRadialGradient(center.x, center.y, 0, center.x, center.y, radius);
+        glow.addColorStop(0, `rgba(255, 255, 255, ${0.3 + 0.5 * chargingProgress})`);
+        glow.addColorStop(0.5, `rgba(255, 245, 180, ${0.2 + 0.3 * chargingProgress})`);
+        glow.addColorStop(1, 'rgba(255, 230, 120, 0)');
+        this.ctx.fillStyle = glow;
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
+    // Solar Flare: rays bursting from the face and a single flash (FLASH_LIMITS) that rises
+    // quickly then fades smoothly over the rest of the technique
+    drawSolarFlare(hands, gestureData) {
+        const center = this.getWristCenter(hands) || this.solarFlareCenter || {
+            x: this.canvas.width / 2,
+            y: this.canvas.height / 2
+        };
+        const progress = gestureData.allowedFiringDuration > 0
+            ? Math.min((gestureData.currentFiringDuration || 0) / gestureData.allowedFiringDuration, 1)
+            : 1;
+        const rise = 0.1;
+        const level = progress < rise ? progress / rise : Math.pow(1 - (progress - rise) / (1 - rise), 2);
+
+        if (this.solarFlareFlash === null) {
+            this.solarFlareFlash = this.startFlash();
+        }
+        if (this.solarFlareFlash) {
+            this.drawScreenFlash(level * this.maxFlashOpacity, center);
+        }
+
+        // Rays stay around the face, so they are drawn even when the flash is held back
+        const reach = Math.max(this.canvas.width, this.canvas.height) * (0.3 + 0.5 * Math.min(progress / rise, 1));
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'screen';
+        this.ctx.lineCap = 'round';
+        for (let i = 0; i < 12; i++) {
+            const angle = (i / 12) * Math.PI * 2 + this.time * 0.5;
+            const ray = this.ctx.createLinearGradient(
+                center.x, center.y,
+                center.x + Math.cos(angle) * reach, center.y + Math.sin(angle) * reach
+            );
+            ray.addColorStop(0, `rgba(255, 255, 230, ${0.6 * level})`);
+            ray.addColorStop(1, 'rgba(255, 240, 150, 0)');
+            this.ctx.strokeStyle = ray;
+            this.ctx.lineWidth = 10 + 10 * level;
+            this.ctx.beginPath();
+            this.ctx.moveTo(center.x, center.y);
+            this.ctx.lineTo(center.x + Math.cos(angle) * reach, center.y + Math.sin(angle) * reach);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
     // Clear all effects
     clearEffects() {
         this.particles = [];
@@ -880,28 +1606,79 @@ export class KamehamehaEffects {
     }
 
     // Main render function with enhanced Dragon Ball effects
-    render(gestureState, gestureData, hands) {
+    // beam: beam struggle overrides from lib/beamStruggle.js ({ target } or { hidden })
+    render(gestureState, gestureData, hands, beam = {}) {
         // Clear lingering sphere effects the moment we switch from charging → firing
         if (this.previousGestureState === 'charging' && gestureState === 'firing') {
             this.clearEffects();
         }
+        if (gestureState !== 'firing') {
+            this.spiritBombImpact = null;
+            this.solarFlareFlash = null;
+        }
+        if (gestureState === 'idle') {
+            this.clearEffects(); // Inflow specks of a charge that was let go
+            this.spiritBomb = null;
+        }
         // Update animation timing
         this.update();
-        
-        switch (gestureState) {
-            case 'charging':
-                this.drawEnergySphere(hands, gestureData.chargingProgress, gestureData);
-                break;
-            case 'firing':
-                this.drawEnergyBeam(hands, gestureData.firingFrameCount, gestureData.firingDirection);
-                break;
-            case 'idle':
-            case 'positioning':
-                // // Draw subtle positioning guide
-                // if (gestureState === 'positioning') {
-                //     this.drawPositioningGuide(hands);
-                // }
-                break;
+
+        // A new ki blast each time firing starts: it flies on its own from then on
+        if (gestureState === 'firing' && this.previousGestureState !== 'firing' && gestureData.projectile === 'blast') {
+            this.launchKiBlast(gestureData);
+        }
+
+        // Prefer the detector's [left, right] pair so effects stay on the same hands as detection
+        const activeHands = gestureData.activeHands || hands;
+
+        // Technique color and player tint: filter the whole palette rather than recoloring every effect
+        this.ctx.save();
+        const style = TECHNIQUE_STYLES[gestureData.technique] || TECHNIQUE_STYLES.kamehameha;
+        const filters = [style.filter, this.hueShift ? `hue-rotate(${this.hueShift}deg)` : null].filter(Boolean);
+        if (filters.length > 0) {
+            this.ctx.filter = filters.join(' ');
+        }
+        try {
+            switch (gestureState) {
+                case 'charging':
+                    if (gestureData.projectile === 'sphere') {
+                        this.drawSpiritBombCharging(activeHands, gestureData.chargingProgress);
+                    } else if (gestureData.projectile === 'flash') {
+                        this.drawSolarFlareCharging(activeHands, gestureData.chargingProgress);
+                    } else if (style.beam === 'spiral') {
+                        this.drawFingertipCharge(gestureData.activeHand, gestureData.chargingProgress);
+                    } else {
+                        this.drawEnergySphere(activeHands, gestureData.chargingProgress, gestureData);
+                        if (gestureData.aimPreview) {
+                            this.drawAimPreview(gestureData.aimPreview, gestureData.energySphereCenter, gestureData.chargingProgress);
+                        }
+                    }
+                    break;
+                case 'firing':
+                    if (gestureData.projectile === 'sphere') {
+                        this.drawSpiritBombThrow(gestureData);
+                    } else if (gestureData.projectile === 'flash') {
+                        this.drawSolarFlare(activeHands, gestureData);
+                    } else if (!beam.hidden && gestureData.projectile !== 'blast') { // Ki blasts fly on their own (updateKiBlasts)
+                        if (style.beam === 'spiral') {
+                            this.drawSpiralBeam(gestureData.activeHand, gestureData.firingFrameCount, gestureData.firingDirection, beam.target || null);
+                        } else {
+                            this.drawEnergyBeam(activeHands, gestureData.firingFrameCount, gestureData.firingDirection, beam.target || null);
+                        }
+                    }
+                    break;
+                case 'idle':
+                case 'positioning':
+                    // // Draw subtle positioning guide
+                    // if (gestureState === 'positioning') {
+                    //     this.drawPositioningGuide(hands);
+                    // }
+                    break;
+            }
+            this.updateKiBlasts();
+            this.updateExplosionParticles();
+        } finally {
+            this.ctx.restore();
         }
         // Remember current state for next frame
         this.previousGestureState = gestureState;
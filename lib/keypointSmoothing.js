@@ -0,0 +1,186 @@
+// Temporal smoothing of hand keypoints between estimateHands and KamehamehaDetector
+//
+// Each keypoint coordinate goes through a One-Euro filter (Casiez et al., 2012): a low-pass
+// filter whose cutoff rises with speed, so slow jitter is removed while fast moves keep
+// little lag. Filters are kept per hand: by trackId when hands come from HandTracker,
+// otherwise matched frame to frame by handedness and wrist position.
+import { getHandScale } from "./handScale.js";
+
+export const DEFAULT_SMOOTHING_OPTIONS = {
+  minCutoff: 1.5, // Hz, cutoff when the hand is still (lower = smoother)
+  beta: 0.01, // cutoff increase per px/s of speed (higher = less lag on fast moves)
+  beta3D: 10, // same for keypoints3D, which are in metres
+  dCutoff: 1, // Hz, cutoff for the speed estimate
+  maxGap: 250, // ms a hand may be missing before its filters are dropped
+  maxJump: 3, // hand sizes a wrist may move between frames and still be the same hand
+};
+
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+export class OneEuroFilter {
+  constructor({ minCutoff, beta, dCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  // timestamp in ms
+  filter(value, timestamp) {
+    if (this.lastTime === null) {
+      this.value = value;
+      this.lastTime = timestamp;
+      return value;
+    }
+    if (timestamp <= this.lastTime) return this.value;
+
+    const dt = (timestamp - this.lastTime) / 1000;
+    this.lastTime = timestamp;
+
+    const rawSpeed = (value - this.value) / dt;
+    this.speed += smoothingFactor(this.dCutoff, dt) * (rawSpeed - this.speed);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+    this.value += smoothingFactor(cutoff, dt) * (value - this.value);
+    return this.value;
+  }
+
+  reset() {
+    this.value = 0;
+    this.speed = 0;
+    this.lastTime = null;
+  }
+}
+
+// Filters for every coordinate of one hand
+class HandTrack {
+  constructor(options, trackId = null) {
+    this.options = options;
+    this.trackId = trackId;
+    this.filters2D = new Map();
+    this.filters3D = new Map();
+    this.handedness = null;
+    this.wrist = null;
+    this.lastSeen = 0;
+  }
+
+  filterFor(map, key, beta) {
+    if (!map.has(key)) {
+      map.set(key, new OneEuroFilter({ ...this.options, beta }));
+    }
+    return map.get(key);
+  }
+
+  smoothKeypoints(keypoints, map, beta, timestamp, withZ) {
+    return keypoints.map((kp, index) => {
+      const key = kp.name || index;
+      const smoothed = {
+        ...kp,
+        x: this.filterFor(map, `${key}.x`, beta).filter(kp.x, timestamp),
+        y: this.filterFor(map, `${key}.y`, beta).filter(kp.y, timestamp),
+      };
+      if (withZ && typeof kp.z === "number") {
+        smoothed.z = this.filterFor(map, `${key}.z`, beta).filter(kp.z, timestamp);
+      }
+      return smoothed;
+    });
+  }
+
+  smooth(hand, timestamp) {
+    this.handedness = hand.handedness;
+    this.lastSeen = timestamp;
+
+    const smoothed = {
+      ...hand,
+      keypoints: this.smoothKeypoints(
+        hand.keypoints,
+        this.filters2D,
+        this.options.beta,
+        timestamp,
+        false
+      ),
+    };
+    if (hand.keypoints3D) {
+      smoothed.keypoints3D = this.smoothKeypoints(
+        hand.keypoints3D,
+        this.filters3D,
+        this.options.beta3D,
+        timestamp,
+        true
+      );
+    }
+
+    const wrist = smoothed.keypoints.find((kp) => kp.name === "wrist");
+    this.wrist = wrist ? { x: wrist.x, y: wrist.y } : null;
+    return smoothed;
+  }
+}
+
+const wristOf = (hand) => hand.keypoints.find((kp) => kp.name === "wrist");
+
+export class HandKeypointSmoother {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SMOOTHING_OPTIONS, ...options };
+    this.tracks = [];
+  }
+
+  // Returns smoothed copies of the hands (same order); keypoint names and scores are kept
+  smooth(hands, timestamp) {
+    // Forget hands that left the frame so a returning hand starts fresh
+    this.tracks = this.tracks.filter(
+      (track) => timestamp - track.lastSeen <= this.options.maxGap
+    );
+    if (!hands || hands.length === 0) return hands;
+
+    const assignments = this.matchTracks(hands);
+    return hands.map((hand, index) => {
+      let track = assignments[index];
+      if (!track) {
+        track = new HandTrack(this.options, hand.trackId ?? null);
+        this.tracks.push(track);
+      }
+      return track.smooth(hand, timestamp);
+    });
+  }
+
+  // Greedy nearest-wrist matching, preferring tracks with the same handedness.
+  // A hand that jumped too far starts a new track instead of being smeared across the frame.
+  matchTracks(hands) {
+    const assignments = [];
+    const pairs = [];
+    hands.forEach((hand, handIndex) => {
+      // Tracked hands already carry their identity
+      if (hand.trackId !== undefined && hand.trackId !== null) {
+        assignments[handIndex] = this.tracks.find(
+          (track) => track.trackId === hand.trackId
+        );
+        return;
+      }
+      const wrist = wristOf(hand);
+      const maxDistance = this.options.maxJump * getHandScale(hand);
+      this.tracks.forEach((track) => {
+        if (track.trackId !== null || !wrist || !track.wrist) return;
+        const distance = Math.hypot(wrist.x - track.wrist.x, wrist.y - track.wrist.y);
+        if (distance > maxDistance) return;
+        const sameHandedness = track.handedness === hand.handedness;
+        pairs.push({ handIndex, track, cost: sameHandedness ? distance : distance * 2 });
+      });
+    });
+    pairs.sort((a, b) => a.cost - b.cost);
+
+    const usedTracks = new Set();
+    pairs.forEach(({ handIndex, track }) => {
+      if (assignments[handIndex] || usedTracks.has(track)) return;
+      assignments[handIndex] = track;
+      usedTracks.add(track);
+    });
+    return assignments;
+  }
+
+  reset() {
+    this.tracks = [];
+  }
+}
@@ -0,0 +1,371 @@
+// Headless replay of recorded hand-landmark sequences through KamehamehaDetector
+//
+// Sequence format ("kamehameha-landmarks", version 1):
+// {
+//   "format": "kamehameha-landmarks",
+//   "version": 1,
+//   "name": "full-cycle",
+//   "description": "What the sequence exercises",
+//   "videoWidth": 640, "videoHeight": 480,
+//   "detectorOptions": { "preset": "kids" },          // optional
+//   "smoothing": { "minCutoff": 1.5 },                 // optional, keypoint smoothing applied before detection
+//   "poses": { "charging": [hand, hand] },             // optional named hand sets
+//   "faceSets": { "player": [face] },                  // optional named face sets
+//   "frames": [
+//     { "t": 0, "hands": [hand, hand] },               // inline hands
+//     { "t": 33, "pose": "charging" },                 // named pose
+//     { "t": 50, "hands": [], "gesture": { "state": "idle" } }, // live detector output (recordings)
+//     { "from": 66, "to": 1000, "step": 33, "pose": "charging" }, // repeated pose
+//     { "t": 1033, "pose": "charging", "faces": "player" } // faces: named set or inline array
+//   ],
+//   "expected": {                                      // optional
+//     "states": ["idle", "positioning", "charging"],
+//     "transitions": [{ "from": "idle", "to": "positioning", "t": 33 }],
+//     "techniques": ["kamehameha"],                    // technique of each gesture started
+//     "aim": [{ "t": 3003, "preview": -90 }],          // optional, see below
+//     "finalState": "charging"
+//   }
+// }
+//
+// "aim" checkpoints give the aim preview ("preview") or the beam ("beam") angle at a frame,
+// in degrees in view space like getGestureData's aimPreview and firingDirection, within
+// AIM_TOLERANCE. They are written by hand; --update only refreshes their angles.
+//
+// A hand has the shape returned by estimateHands: { handedness, score, keypoints, keypoints3D? }
+// where keypoints are { x, y, name } in video pixels. A face only holds the FaceMesh
+// keypoints the techniques read: { keypoints: [{ index, x, y }] } (see the techniques'
+// faceKeypoints). Frames without faces have none. Times are in milliseconds.
+import { KamehamehaDetector } from "./kamehamehaDetection.js";
+import { silentLogger } from "./logger.js";
+import { CoordinateSpace } from "./coordinateSpace.js";
+import { HandKeypointSmoother } from "./keypointSmoothing.js";
+import { HandTracker } from "./handTracker.js";
+
+export const LANDMARK_SEQUENCE_FORMAT = "kamehameha-landmarks";
+export const LANDMARK_SEQUENCE_VERSION = 1;
+
+// Degrees an aim checkpoint's angle may be off by
+export const AIM_TOLERANCE = 5;
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+function validateHands(hands, path) {
+  if (!Array.isArray(hands)) {
+    throw new Error(`${path} must be an array of hands`);
+  }
+  hands.forEach((hand, handIndex) => {
+    const handPath = `${path}[${handIndex}]`;
+    if (!hand || !Array.isArray(hand.keypoints)) {
+      throw new Error(`${handPath}.keypoints must be an array`);
+    }
+    hand.keypoints.forEach((kp, kpIndex) => {
+      if (
+        !kp ||
+        !isFiniteNumber(kp.x) ||
+        !isFiniteNumber(kp.y) ||
+        typeof kp.name !== "string"
+      ) {
+        throw new Error(
+          `${handPath}.keypoints[${kpIndex}] must have numeric x, y and a name`
+        );
+      }
+    });
+    if (hand.keypoints3D !== undefined && !Array.isArray(hand.keypoints3D)) {
+      throw new Error(`${handPath}.keypoints3D must be an array when present`);
+    }
+  });
+}
+
+function validateFaces(faces, path) {
+  if (!Array.isArray(faces)) {
+    throw new Error(`${path} must be an array of faces`);
+  }
+  faces.forEach((face, faceIndex) => {
+    const facePath = `${path}[${faceIndex}]`;
+    if (!face || !Array.isArray(face.keypoints)) {
+      throw new Error(`${facePath}.keypoints must be an array`);
+    }
+    face.keypoints.forEach((kp, kpIndex) => {
+      if (
+        !kp ||
+        !Number.isInteger(kp.index) ||
+        kp.index < 0 ||
+        !isFiniteNumber(kp.x) ||
+        !isFiniteNumber(kp.y)
+      ) {
+        throw new Error(
+          `${facePath}.keypoints[${kpIndex}] must have a keypoint index and numeric x, y`
+        );
+      }
+    });
+  });
+}
+
+// Face as the detector gets it from FaceMesh: keypoints indexed by keypoint number
+const expandFace = (face) => {
+  const keypoints = [];
+  face.keypoints.forEach(({ index, x, y }) => {
+    keypoints[index] = { x, y };
+  });
+  return { keypoints };
+};
+
+// Throw a descriptive error if the sequence does not follow the format above
+export function validateLandmarkSequence(sequence) {
+  if (!sequence || typeof sequence !== "object") {
+    throw new Error("Landmark sequence must be an object");
+  }
+  if (sequence.format !== LANDMARK_SEQUENCE_FORMAT) {
+    throw new Error(
+      `Unsupported landmark sequence format "${sequence.format}" (expected "${LANDMARK_SEQUENCE_FORMAT}")`
+    );
+  }
+  if (sequence.version !== LANDMARK_SEQUENCE_VERSION) {
+    throw new Error(
+      `Unsupported landmark sequence version ${sequence.version} (expected ${LANDMARK_SEQUENCE_VERSION})`
+    );
+  }
+
+  const poses = sequence.poses || {};
+  Object.entries(poses).forEach(([name, hands]) =>
+    validateHands(hands, `poses.${name}`)
+  );
+  const faceSets = sequence.faceSets || {};
+  Object.entries(faceSets).forEach(([name, faces]) =>
+    validateFaces(faces, `faceSets.${name}`)
+  );
+
+  if (!Array.isArray(sequence.frames) || sequence.frames.length === 0) {
+    throw new Error("Landmark sequence must have a non-empty frames array");
+  }
+
+  sequence.frames.forEach((frame, index) => {
+    const path = `frames[${index}]`;
+    const isRange = frame.from !== undefined || frame.to !== undefined;
+    if (isRange) {
+      if (
+        !isFiniteNumber(frame.from) ||
+        !isFiniteNumber(frame.to) ||
+        !isFiniteNumber(frame.step) ||
+        frame.step <= 0 ||
+        frame.to < frame.from
+      ) {
+        throw new Error(
+          `${path} range needs numeric from <= to and a positive step`
+        );
+      }
+    } else if (!isFiniteNumber(frame.t)) {
+      throw new Error(`${path} needs a numeric t (or from/to/step)`);
+    }
+
+    if (frame.pose !== undefined) {
+      if (!Object.prototype.hasOwnProperty.call(poses, frame.pose)) {
+        throw new Error(`${path} references unknown pose "${frame.pose}"`);
+      }
+    } else {
+      validateHands(frame.hands, `${path}.hands`);
+    }
+
+    if (typeof frame.faces === "string") {
+      if (!Object.prototype.hasOwnProperty.call(faceSets, frame.faces)) {
+        throw new Error(`${path} references unknown face set "${frame.faces}"`);
+      }
+    } else if (frame.faces !== undefined) {
+      validateFaces(frame.faces, `${path}.faces`);
+    }
+  });
+}
+
+// Expand ranges, named poses and face sets into a flat, time-ordered
+// [{ t, hands, faces, recordedState }] list
+export function expandLandmarkFrames(sequence) {
+  validateLandmarkSequence(sequence);
+
+  const poses = sequence.poses || {};
+  const faceSets = sequence.faceSets || {};
+  const frames = [];
+  sequence.frames.forEach((frame) => {
+    const hands = frame.pose !== undefined ? poses[frame.pose] : frame.hands;
+    const faces = (
+      typeof frame.faces === "string" ? faceSets[frame.faces] : frame.faces || []
+    ).map(expandFace);
+    if (frame.from !== undefined) {
+      for (let t = frame.from; t <= frame.to; t += frame.step) {
+        frames.push({ t, hands, faces });
+      }
+    } else {
+      frames.push({
+        t: frame.t,
+        hands,
+        faces,
+        recordedState: frame.gesture ? frame.gesture.state : undefined,
+      });
+    }
+  });
+
+  for (let i = 1; i < frames.length; i++) {
+    if (frames[i].t <= frames[i - 1].t) {
+      throw new Error(
+        `Frame timestamps must increase (frame ${i} at ${frames[i].t}ms follows ${frames[i - 1].t}ms)`
+      );
+    }
+  }
+
+  return frames;
+}
+
+// Run every frame through a fresh detector and report the state timeline.
+// Options passed here override the sequence's own detectorOptions and smoothing
+// (smoothing: false replays the raw keypoints).
+export function replayLandmarkSequence(
+  sequence,
+  {
+    detectorOptions = {},
+    smoothing = sequence.smoothing || false,
+    logger = silentLogger,
+  } = {}
+) {
+  const frames = expandLandmarkFrames(sequence);
+  // Same pipeline as the /kameha page: tracking, optional smoothing, then detection
+  const tracker = new HandTracker();
+  const smoother = smoothing
+    ? new HandKeypointSmoother(smoothing === true ? {} : smoothing)
+    : null;
+
+  const detector = new KamehamehaDetector(
+    { ...(sequence.detectorOptions || {}), ...detectorOptions },
+    {
+      logger,
+      coordinateSpace: new CoordinateSpace({
+        width: sequence.videoWidth,
+        height: sequence.videoHeight,
+      }),
+    }
+  );
+
+  const timeline = [];
+  const transitions = [];
+  const techniques = [];
+  const initialState = detector.gestureState;
+  let previousState = initialState;
+
+  frames.forEach(({ t, hands, faces, recordedState }) => {
+    const trackedHands = tracker.update(hands, t);
+    const data = detector.detectGesture(
+      smoother ? smoother.smooth(trackedHands, t) : trackedHands,
+      t,
+      { faces }
+    );
+    timeline.push({
+      t,
+      hands: hands.length,
+      state: data.state,
+      chargingProgress: data.chargingProgress,
+      firingProgress: data.firingProgress,
+      chargingPose: data.chargingPose,
+      firingPose: data.firingPose,
+      aimPreview: data.aimPreview,
+      beamDirection: data.state === "firing" ? data.firingDirection : null,
+      recordedState,
+    });
+    if (data.state !== previousState) {
+      if (previousState === "idle") techniques.push(data.technique);
+      transitions.push({ from: previousState, to: data.state, t });
+      previousState = data.state;
+    }
+  });
+
+  return {
+    name: sequence.name || null,
+    frameCount: frames.length,
+    duration: frames[frames.length - 1].t - frames[0].t,
+    timeline,
+    transitions,
+    states: [initialState, ...transitions.map(({ to }) => to)],
+    techniques,
+    finalState: timeline[timeline.length - 1].state,
+  };
+}
+
+// Aim preview and beam angles (whole degrees, view space) at frame `t` of a replay result,
+// null when there is no such frame or aim
+export function measureAim(result, t) {
+  const frame = result.timeline.find((entry) => entry.t === t);
+  const degrees = (direction) =>
+    direction ? Math.round((direction.angle * 180) / Math.PI) : null;
+  return {
+    preview: frame ? degrees(frame.aimPreview) : null,
+    beam: frame ? degrees(frame.beamDirection) : null,
+  };
+}
+
+// Compare a replay result to a sequence's "expected" block.
+// Returns a list of human-readable mismatches (empty when everything matches).
+export function checkReplayExpectations(result, expected = {}) {
+  const mismatches = [];
+
+  if (expected.states) {
+    const actual = result.states.join(" → ");
+    const wanted = expected.states.join(" → ");
+    if (actual !== wanted) {
+      mismatches.push(`states: expected ${wanted}, got ${actual}`);
+    }
+  }
+
+  if (expected.transitions) {
+    const count = Math.max(
+      expected.transitions.length,
+      result.transitions.length
+    );
+    for (let i = 0; i < count; i++) {
+      const want = expected.transitions[i];
+      const got = result.transitions[i];
+      const describe = (transition) =>
+        transition
+          ? `${transition.from} → ${transition.to} at ${transition.t}ms`
+          : "nothing";
+      if (
+        !want ||
+        !got ||
+        want.from !== got.from ||
+        want.to !== got.to ||
+        want.t !== got.t
+      ) {
+        mismatches.push(
+          `transition ${i + 1}: expected ${describe(want)}, got ${describe(got)}`
+        );
+      }
+    }
+  }
+
+  if (expected.techniques) {
+    const actual = result.techniques.join(", ") || "none";
+    const wanted = expected.techniques.join(", ") || "none";
+    if (actual !== wanted) {
+      mismatches.push(`techniques: expected ${wanted}, got ${actual}`);
+    }
+  }
+
+  (expected.aim || []).forEach((checkpoint) => {
+    const actual = measureAim(result, checkpoint.t);
+    ["preview", "beam"].forEach((key) => {
+      if (checkpoint[key] === undefined) return;
+      const got = actual[key];
+      const off = got === null ? null : Math.abs(((got - checkpoint[key] + 540) % 360) - 180);
+      if (off === null || off > AIM_TOLERANCE) {
+        mismatches.push(
+          `aim at ${checkpoint.t}ms: expected ${key} ${checkpoint[key]}°, got ${got === null ? "none" : `${got}°`}`
+        );
+      }
+    });
+  });
+
+  if (expected.finalState && expected.finalState !== result.finalState) {
+    mismatches.push(
+      `finalState: expected ${expected.finalState}, got ${result.finalState}`
+    );
+  }
+
+  return mismatches;
+}
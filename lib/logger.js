@@ -0,0 +1,129 @@
+// Small leveled logger with per-subsystem namespaces
+
+export const LOG_LEVELS = {
+  silent: 0,
+  error: 1,
+  info: 2,
+  debug: 3,
+  trace: 4,
+};
+
+const DEFAULT_LEVEL = "error";
+
+// Console method used for each level (console.trace would print a stack)
+const SINK_METHODS = {
+  error: "error",
+  info: "info",
+  debug: "debug",
+  trace: "debug",
+};
+
+function assertLevel(level) {
+  if (!Object.prototype.hasOwnProperty.call(LOG_LEVELS, level)) {
+    throw new Error(
+      `Unknown log level "${level}" (expected one of: ${Object.keys(
+        LOG_LEVELS
+      ).join(", ")})`
+    );
+  }
+}
+
+// Parse a "?debug=" query value into logger settings.
+// Examples: "debug", "trace", "detector:trace", "info,effects:silent,page:debug".
+// A bare value without a level (e.g. "1" or "true") enables debug everywhere.
+// Unknown levels are ignored so a typo in the URL never breaks the page.
+export function parseDebugParam(value) {
+  const settings = { level: DEFAULT_LEVEL, namespaces: {} };
+  if (value === undefined || value === null || value === "") {
+    return settings;
+  }
+
+  const raw = Array.isArray(value) ? value.join(",") : String(value);
+  raw
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const separator = part.indexOf(":");
+      if (separator === -1) {
+        if (LOG_LEVELS[part] !== undefined) {
+          settings.level = part;
+        } else if (part === "1" || part === "true") {
+          settings.level = "debug";
+        }
+        return;
+      }
+
+      const namespace = part.slice(0, separator);
+      const level = part.slice(separator + 1);
+      if (LOG_LEVELS[level] === undefined) return;
+      if (namespace === "*" || namespace === "") {
+        settings.level = level;
+      } else {
+        settings.namespaces[namespace] = level;
+      }
+    });
+
+  return settings;
+}
+
+// Create a root logger. Namespaced loggers come from root.child("detector") and
+// read their level from the root on every call, so configure() applies to them live.
+export function createLogger({
+  level = DEFAULT_LEVEL,
+  namespaces = {},
+  sink = console,
+} = {}) {
+  const state = { level: DEFAULT_LEVEL, namespaces: {} };
+
+  // Most specific namespace wins: "detector.pose" falls back to "detector", then the global level
+  const levelFor = (namespace) => {
+    let current = namespace;
+    while (current) {
+      if (state.namespaces[current] !== undefined) {
+        return LOG_LEVELS[state.namespaces[current]];
+      }
+      const dot = current.lastIndexOf(".");
+      current = dot === -1 ? null : current.slice(0, dot);
+    }
+    return LOG_LEVELS[state.level];
+  };
+
+  const write = (namespace, level, args) => {
+    if (levelFor(namespace) < LOG_LEVELS[level]) return;
+    const method = sink[SINK_METHODS[level]] || sink.log;
+    if (!method) return;
+    if (namespace) {
+      method.call(sink, `[${namespace}]`, ...args);
+    } else {
+      method.call(sink, ...args);
+    }
+  };
+
+  const makeLogger = (namespace) => ({
+    namespace,
+    error: (...args) => write(namespace, "error", args),
+    info: (...args) => write(namespace, "info", args),
+    debug: (...args) => write(namespace, "debug", args),
+    trace: (...args) => write(namespace, "trace", args),
+    // Check before building expensive log messages in per-frame code
+    isEnabled: (level) => levelFor(namespace) >= LOG_LEVELS[level],
+    child: (name) => makeLogger(namespace ? `${namespace}.${name}` : name),
+  });
+
+  const root = makeLogger(null);
+
+  // Replace the global level and per-namespace overrides
+  root.configure = ({ level = DEFAULT_LEVEL, namespaces = {} } = {}) => {
+    assertLevel(level);
+    Object.values(namespaces).forEach(assertLevel);
+    state.level = level;
+    state.namespaces = { ...namespaces };
+  };
+
+  root.configure({ level, namespaces });
+  return root;
+}
+
+// Logger that never writes anything, handy for headless runs
+export const silentLogger = createLogger({ level: "silent" });
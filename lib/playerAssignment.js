@@ -0,0 +1,160 @@
+// Splitting the detected hands between players for local multiplayer
+//
+// Two ways to decide which player a hand belongs to:
+// - "region": the view is cut into one vertical strip per player, player 1 on the left
+//   of the screen. Predictable, players just stay on their side.
+// - "cluster": hands are grouped by wrist position (split at the widest gaps along x, when
+//   they are wide enough or a group would have more than two hands) and the groups are
+//   given to players from left to right, so players do not have to stand exactly on their
+//   half of the frame.
+// A player who is in the middle of a gesture keeps their tracked hands (trackId from
+// HandTracker), even if a hand crosses into the other player's side.
+import { CoordinateSpace } from "./coordinateSpace.js";
+
+export const PLAYER_ASSIGNMENT_MODES = ["region", "cluster"];
+
+// estimateHands is limited to four hands, so two players with two hands each
+export const MAX_PLAYERS = 2;
+
+// Gap between wrists (in hand sizes, wrist → middle finger MCP) that separates two players
+// in "cluster" mode. One player's hands stay within about 3.5 hand sizes while firing.
+const MIN_CLUSTER_GAP = 4;
+
+// Per-player HUD and effect colors. hueShift rotates the default blue effects palette.
+export const PLAYER_STYLES = [
+  { label: "J1", color: "#00BFFF", hueShift: 0 },
+  { label: "J2", color: "#FF4FD8", hueShift: 110 },
+];
+
+// ?players= value → number of players (1 when missing or invalid)
+export function parsePlayerCount(value) {
+  const count = parseInt(value, 10);
+  if (!Number.isFinite(count) || count < 1) return 1;
+  return Math.min(count, MAX_PLAYERS);
+}
+
+export function resolveAssignmentMode(value) {
+  return PLAYER_ASSIGNMENT_MODES.includes(value) ? value : PLAYER_ASSIGNMENT_MODES[0];
+}
+
+const wristOf = (hand) => hand.keypoints.find((kp) => kp.name === "wrist");
+
+const handSizeOf = (hand) => {
+  const wrist = wristOf(hand);
+  const middleMcp = hand.keypoints.find((kp) => kp.name === "middle_finger_mcp");
+  return wrist && middleMcp
+    ? Math.hypot(middleMcp.x - wrist.x, middleMcp.y - wrist.y)
+    : 0;
+};
+
+export class PlayerAssigner {
+  // coordinateSpace: the page's CoordinateSpace, so "left" means left on screen
+  constructor({
+    playerCount = MAX_PLAYERS,
+    mode = "region",
+    coordinateSpace = new CoordinateSpace(),
+  } = {}) {
+    if (!PLAYER_ASSIGNMENT_MODES.includes(mode)) {
+      throw new RangeError(
+        `Unknown player assignment mode "${mode}" (expected ${PLAYER_ASSIGNMENT_MODES.join(", ")})`
+      );
+    }
+    this.playerCount = playerCount;
+    this.mode = mode;
+    this.coordinateSpace = coordinateSpace;
+    this.owners = new Map(); // trackId → player index from the previous frame
+  }
+
+  // Returns one array of hands per player.
+  // lockedPlayers: per player, true while their gesture is in progress (keeps their hands)
+  assign(hands, lockedPlayers = []) {
+    const players = Array.from({ length: this.playerCount }, () => []);
+    if (!hands || hands.length === 0) {
+      this.owners.clear();
+      return players;
+    }
+
+    const positions = hands.map((hand) => {
+      const wrist = wristOf(hand);
+      return wrist ? this.coordinateSpace.toView(wrist).x : this.coordinateSpace.width / 2;
+    });
+    const assignments =
+      this.mode === "cluster"
+        ? this.assignByCluster(positions, hands.map(handSizeOf))
+        : positions.map((x) => this.regionOf(x));
+
+    const owners = new Map();
+    hands.forEach((hand, index) => {
+      const hasTrack = hand.trackId !== undefined && hand.trackId !== null;
+      const previousOwner = hasTrack ? this.owners.get(hand.trackId) : undefined;
+      const player =
+        previousOwner !== undefined && lockedPlayers[previousOwner]
+          ? previousOwner
+          : assignments[index];
+      players[player].push(hand);
+      if (hasTrack) owners.set(hand.trackId, player);
+    });
+    this.owners = owners;
+    return players;
+  }
+
+  // Player whose vertical strip contains view x
+  regionOf(x) {
+    const strip = Math.floor((x / this.coordinateSpace.width) * this.playerCount);
+    return Math.max(0, Math.min(this.playerCount - 1, strip));
+  }
+
+  // Split the sorted positions at up to (playerCount - 1) of the widest gaps: gaps wider
+  // than MIN_CLUSTER_GAP, and as many as needed to keep groups at two hands. When there are
+  // as many groups as players they are given out left to right; otherwise (e.g. one player
+  // alone in frame) each group goes to the player whose strip holds its center.
+  assignByCluster(positions, handSizes) {
+    const measuredSizes = handSizes.filter((size) => size > 1);
+    const handSize = measuredSizes.length > 0
+      ? measuredSizes.reduce((sum, size) => sum + size, 0) / measuredSizes.length
+      : 0;
+    const requiredSplits = Math.ceil(positions.length / 2) - 1;
+
+    const order = positions
+      .map((x, index) => ({ x, index }))
+      .sort((a, b) => a.x - b.x);
+    const splits = order
+      .slice(1)
+      .map((entry, i) => ({ after: i, gap: entry.x - order[i].x }))
+      // Widest first; on equal gaps prefer the split closest to the middle (balanced groups)
+      .sort(
+        (a, b) =>
+          b.gap - a.gap ||
+          Math.abs(a.after - (order.length - 2) / 2) - Math.abs(b.after - (order.length - 2) / 2)
+      )
+      .slice(0, this.playerCount - 1)
+      .filter(
+        ({ gap }, rank) =>
+          gap > 0 && (rank < requiredSplits || (handSize > 0 && gap > MIN_CLUSTER_GAP * handSize))
+      )
+      .map(({ after }) => after)
+      .sort((a, b) => a - b);
+
+    const groups = [];
+    let start = 0;
+    [...splits, order.length - 1].forEach((end) => {
+      groups.push(order.slice(start, end + 1));
+      start = end + 1;
+    });
+
+    const assignments = [];
+    groups.forEach((group, groupIndex) => {
+      const center = group.reduce((sum, { x }) => sum + x, 0) / group.length;
+      const player =
+        groups.length === this.playerCount ? groupIndex : this.regionOf(center);
+      group.forEach(({ index }) => {
+        assignments[index] = player;
+      });
+    });
+    return assignments;
+  }
+
+  reset() {
+    this.owners.clear();
+  }
+}
@@ -0,0 +1,255 @@
+// Live coaching for the charging pose: picks one hint from the failed pose criteria
+// (see chargingPose in KamehamehaDetector.getGestureData) and draws guide markers
+import { CHARGING_POSE_RANGES } from "./kamehamehaDetection.js";
+
+export const COACHING_HINTS = {
+  fr: {
+    showBothHands: "Montrez vos deux mains à la caméra",
+    bringWristsCloser: "Rapprochez vos poignets",
+    moveWristsApart: "Écartez un peu vos poignets",
+    rotateThumbsUp: "Tournez vos pouces vers le haut",
+    facePalms: "Orientez vos paumes l'une vers l'autre",
+    formV: "Formez un V avec vos poignets",
+    pointFingers: "Pointez vos doigts vers la boule d'énergie",
+    spreadFingers: "Écartez bien les doigts",
+  },
+  en: {
+    showBothHands: "Show both hands to the camera",
+    bringWristsCloser: "Bring your wrists closer",
+    moveWristsApart: "Move your wrists a little apart",
+    rotateThumbsUp: "Rotate your thumbs up",
+    facePalms: "Turn your palms toward each other",
+    formV: "Make a V shape with your wrists",
+    pointFingers: "Point your fingers at the energy ball",
+    spreadFingers: "Spread your fingers",
+  },
+};
+
+export const DEFAULT_COACHING_LOCALE = "fr";
+
+// Most important first: later criteria are hard to satisfy until the earlier ones pass
+const CRITERIA_PRIORITY = [
+  "wristDistance",
+  "wristRotation",
+  "palmOrientation",
+  "vFormation",
+  "energyFunnel",
+  "fingerSpread",
+];
+
+// Hint key for a failed criterion, using the measured value to pick a direction
+function hintForCriterion(criterion) {
+  switch (criterion.name) {
+    case "wristDistance":
+      return criterion.value > criterion.expected.max
+        ? "bringWristsCloser"
+        : "moveWristsApart";
+    case "wristRotation":
+      return "rotateThumbsUp";
+    case "palmOrientation":
+      return "facePalms";
+    case "vFormation":
+      return "formV";
+    case "energyFunnel":
+      return "pointFingers";
+    case "fingerSpread":
+      return "spreadFingers";
+    default:
+      return null;
+  }
+}
+
+// Fall back to French (the app language) for unknown locales such as "de" or "en-US"
+export function resolveCoachingLocale(locale) {
+  if (!locale) return DEFAULT_COACHING_LOCALE;
+  const language = String(locale).toLowerCase().split("-")[0];
+  return COACHING_HINTS[language] ? language : DEFAULT_COACHING_LOCALE;
+}
+
+export function getCoachingMessage(hintKey, locale = DEFAULT_COACHING_LOCALE) {
+  const hints = COACHING_HINTS[resolveCoachingLocale(locale)];
+  return hints[hintKey] || COACHING_HINTS[DEFAULT_COACHING_LOCALE][hintKey] || "";
+}
+
+// Target wrist and sphere positions around the current wrist midpoint, in video pixels
+export function getCoachingGuides(hands) {
+  if (!hands || hands.length !== 2) return null;
+
+  const keypoint = (hand, name) => hand.keypoints.find((kp) => kp.name === name);
+  // Same left/right assignment as the detector: tracked roles first, x position otherwise
+  const byRole = (role) => hands.find((hand) => hand.role === role);
+  const [leftHand, rightHand] =
+    byRole("left") && byRole("right")
+      ? [byRole("left"), byRole("right")]
+      : [...hands].sort(
+        (a, b) => (keypoint(a, "wrist")?.x ?? 0) - (keypoint(b, "wrist")?.x ?? 0)
+      );
+  const leftWrist = keypoint(leftHand, "wrist");
+  const rightWrist = keypoint(rightHand, "wrist");
+  const leftMcp = keypoint(leftHand, "middle_finger_mcp");
+  const rightMcp = keypoint(rightHand, "middle_finger_mcp");
+  if (!leftWrist || !rightWrist || !leftMcp || !rightMcp) return null;
+
+  const center = {
+    x: (leftWrist.x + rightWrist.x) / 2,
+    y: (leftWrist.y + rightWrist.y) / 2,
+  };
+  // Pose distances are in hand sizes (wrist → middle knuckle), convert back to pixels
+  const handScale =
+    (Math.hypot(leftMcp.x - leftWrist.x, leftMcp.y - leftWrist.y) +
+      Math.hypot(rightMcp.x - rightWrist.x, rightMcp.y - rightWrist.y)) /
+    2;
+  const { min, max } = CHARGING_POSE_RANGES.wristDistance;
+  const targetDistance = ((min + max) / 2) * handScale;
+
+  // The energy ball sits between the palms, along the average wrist → middle knuckle direction
+  const palmDirection = {
+    x: (leftMcp.x - leftWrist.x + rightMcp.x - rightWrist.x) / 2,
+    y: (leftMcp.y - leftWrist.y + rightMcp.y - rightWrist.y) / 2,
+  };
+
+  return {
+    leftWrist: { x: center.x - targetDistance / 2, y: center.y },
+    rightWrist: { x: center.x + targetDistance / 2, y: center.y },
+    currentLeftWrist: { x: leftWrist.x, y: leftWrist.y },
+    currentRightWrist: { x: rightWrist.x, y: rightWrist.y },
+    sphere: {
+      x: center.x + palmDirection.x * 0.8,
+      y: center.y + palmDirection.y * 0.8,
+    },
+    sphereRadius: targetDistance / 2,
+  };
+}
+
+export class PoseCoach {
+  // minHintDuration: ms a hint stays on screen before another failing criterion may replace it
+  constructor({ minHintDuration = 1200 } = {}) {
+    this.minHintDuration = minHintDuration;
+    this.currentHint = null;
+    this.hintStartTime = 0;
+  }
+
+  // Returns { hintKey, criterion, guides } or null when there is nothing to coach
+  update(gestureData, hands, timestamp) {
+    const state = gestureData ? gestureData.state : "idle";
+    if (state !== "idle" && state !== "positioning") {
+      this.currentHint = null;
+      return null;
+    }
+
+    // Coach the detector's pair when other hands are in frame too
+    const coachedHands = (gestureData && gestureData.activeHands) || hands;
+    const candidate = this.pickHint(gestureData, coachedHands);
+    if (!candidate) {
+      this.currentHint = null;
+      return null;
+    }
+
+    // Keep showing the current hint while it still applies, to avoid flicker between criteria
+    const currentStillFailing =
+      this.currentHint &&
+      candidate.failing.some(({ hintKey }) => hintKey === this.currentHint.hintKey);
+    if (
+      !currentStillFailing ||
+      (candidate.hintKey !== this.currentHint.hintKey &&
+        timestamp - this.hintStartTime >= this.minHintDuration)
+    ) {
+      if (!this.currentHint || candidate.hintKey !== this.currentHint.hintKey) {
+        this.hintStartTime = timestamp;
+      }
+      this.currentHint = { hintKey: candidate.hintKey, criterion: candidate.criterion };
+    }
+
+    return {
+      ...this.currentHint,
+      guides: getCoachingGuides(coachedHands),
+    };
+  }
+
+  // Most important failing criterion, plus every failing hint for the hold logic above
+  pickHint(gestureData, hands) {
+    const handCount = hands ? hands.length : 0;
+    if (handCount === 0) return null;
+    if (handCount !== 2) {
+      return {
+        hintKey: "showBothHands",
+        criterion: null,
+        failing: [{ hintKey: "showBothHands" }],
+      };
+    }
+
+    const analysis = gestureData && gestureData.chargingPose;
+    if (!analysis || analysis.passed) return null;
+
+    const failing = analysis.criteria
+      .filter((criterion) => !criterion.passed)
+      .sort(
+        (a, b) => CRITERIA_PRIORITY.indexOf(a.name) - CRITERIA_PRIORITY.indexOf(b.name)
+      )
+      .map((criterion) => ({ criterion: criterion.name, hintKey: hintForCriterion(criterion) }))
+      .filter(({ hintKey }) => hintKey);
+    if (failing.length === 0) return null;
+
+    return { ...failing[0], failing };
+  }
+
+  reset() {
+    this.currentHint = null;
+    this.hintStartTime = 0;
+  }
+}
+
+// Draw the hint and guide markers. The /kameha canvas is mirrored with CSS,
+// so text is flipped back to stay readable. The hint is centered on x (canvas pixels,
+// the middle of the canvas by default), e.g. over each player's side in multiplayer.
+export function drawPoseCoaching(ctx, coaching, { locale, width, mirrored = true, x } = {}) {
+  if (!coaching) return;
+
+  ctx.save();
+  const { guides } = coaching;
+  if (guides) {
+    // Target wrists: dashed rings with a line from the current wrist position
+    ctx.setLineDash([6, 6]);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.85)";
+    [
+      [guides.currentLeftWrist, guides.leftWrist],
+      [guides.currentRightWrist, guides.rightWrist],
+    ].forEach(([current, target]) => {
+      ctx.beginPath();
+      ctx.arc(target.x, target.y, 18, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(current.x, current.y);
+      ctx.lineTo(target.x, target.y);
+      ctx.stroke();
+    });
+
+    // Target energy ball between the palms
+    ctx.setLineDash([]);
+    ctx.strokeStyle = "rgba(0, 191, 255, 0.9)";
+    ctx.shadowColor = "#00BFFF";
+    ctx.shadowBlur = 12;
+    ctx.beginPath();
+    ctx.arc(guides.sphere.x, guides.sphere.y, guides.sphereRadius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+  }
+
+  const message = getCoachingMessage(coaching.hintKey, locale);
+  if (message) {
+    const centerX = x ?? (width || ctx.canvas.width) / 2;
+    const y = 48;
+    ctx.translate(centerX, y);
+    if (mirrored) ctx.scale(-1, 1);
+    ctx.font = "bold 26px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    const textWidth = ctx.measureText(message).width;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(-textWidth / 2 - 16, -22, textWidth + 32, 44);
+    ctx.fillStyle = "#FFD700";
+    ctx.fillText(message, 0, 0);
+  }
+  ctx.restore();
+}
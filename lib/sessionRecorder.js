@@ -0,0 +1,181 @@
+// Records live hand landmarks and detector output as a replayable landmark sequence
+import {
+  LANDMARK_SEQUENCE_FORMAT,
+  LANDMARK_SEQUENCE_VERSION,
+} from "./landmarkReplay.js";
+
+const round = (value, digits) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+// Plain, rounded copy of an estimateHands result (pixels to 0.01, world metres to 0.0001)
+function serializeHand(hand) {
+  const serialized = {
+    handedness: hand.handedness,
+    score: hand.score !== undefined ? round(hand.score, 4) : undefined,
+    keypoints: hand.keypoints.map((kp) => ({
+      x: round(kp.x, 2),
+      y: round(kp.y, 2),
+      name: kp.name,
+    })),
+  };
+  if (hand.keypoints3D) {
+    serialized.keypoints3D = hand.keypoints3D.map((kp) => ({
+      x: round(kp.x, 4),
+      y: round(kp.y, 4),
+      z: round(kp.z || 0, 4),
+      name: kp.name,
+    }));
+  }
+  return serialized;
+}
+
+// Only the FaceMesh keypoints the techniques read (pixels to 0.01): a full face is 468 keypoints
+function serializeFace(face, faceKeypoints) {
+  return {
+    keypoints: faceKeypoints
+      .filter((index) => face.keypoints && face.keypoints[index])
+      .map((index) => ({
+        index,
+        x: round(face.keypoints[index].x, 2),
+        y: round(face.keypoints[index].y, 2),
+      })),
+  };
+}
+
+// Compact per-frame snapshot of what the detector decided
+function serializeGestureData(data) {
+  if (!data) return null;
+  const gesture = {
+    state: data.state,
+    positioningProgress: round(data.positioningProgress || 0, 3),
+    chargingProgress: round(data.chargingProgress || 0, 3),
+    firingProgress: round(data.firingProgress || 0, 3),
+  };
+  if (data.chargingPose) gesture.chargingScore = data.chargingPose.score;
+  if (data.firingPose) gesture.firingScore = data.firingPose.score;
+  if (data.energySphereCenter) {
+    gesture.energySphereCenter = {
+      x: round(data.energySphereCenter.x, 1),
+      y: round(data.energySphereCenter.y, 1),
+    };
+  }
+  if (data.state === "firing" && data.firingDirection) {
+    gesture.firingDirection = {
+      angle: round(data.firingDirection.angle, 4),
+      vector: {
+        x: round(data.firingDirection.vector.x, 4),
+        y: round(data.firingDirection.vector.y, 4),
+      },
+    };
+  }
+  return gesture;
+}
+
+export class LandmarkSessionRecorder {
+  // maxDuration: recording stops by itself after this many ms to bound memory use
+  // faceKeypoints: FaceMesh keypoint indices kept from each face (KamehamehaDetector.getFaceKeypoints)
+  constructor({
+    videoWidth = 0,
+    videoHeight = 0,
+    detectorOptions = null,
+    smoothing = null,
+    faceKeypoints = [],
+    maxDuration = 120000,
+  } = {}) {
+    this.videoWidth = videoWidth;
+    this.videoHeight = videoHeight;
+    this.detectorOptions = detectorOptions;
+    this.smoothing = smoothing; // Keypoint smoothing used live; frames hold the raw keypoints
+    this.faceKeypoints = faceKeypoints;
+    this.maxDuration = maxDuration;
+    this.isRecording = false;
+    this.startTime = null;
+    this.startedAt = null; // Wall-clock start, for the file name and metadata
+    this.frames = [];
+  }
+
+  start(timestamp) {
+    this.frames = [];
+    this.startTime = timestamp;
+    this.startedAt = new Date();
+    this.isRecording = true;
+  }
+
+  stop() {
+    this.isRecording = false;
+    return this.toSequence();
+  }
+
+  // Store one frame; returns false once the recording has stopped (e.g. maxDuration reached).
+  // faces: the face landmarks given to the detector for this frame
+  recordFrame(timestamp, hands, gestureData, faces = []) {
+    if (!this.isRecording) return false;
+
+    const t = round(timestamp - this.startTime, 1);
+    if (t > this.maxDuration) {
+      this.isRecording = false;
+      return false;
+    }
+    // Replay requires strictly increasing timestamps
+    if (this.frames.length > 0 && t <= this.frames[this.frames.length - 1].t) {
+      return true;
+    }
+
+    const frame = { t, hands: (hands || []).map(serializeHand) };
+    if (this.faceKeypoints.length > 0 && faces && faces.length > 0) {
+      frame.faces = faces.map((face) => serializeFace(face, this.faceKeypoints));
+    }
+    frame.gesture = serializeGestureData(gestureData);
+    this.frames.push(frame);
+    return true;
+  }
+
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  // Landmark sequence understood by lib/landmarkReplay.js; "gesture" holds the live detector output
+  toSequence() {
+    const startedAt = this.startedAt ? this.startedAt.toISOString() : null;
+    const sequence = {
+      format: LANDMARK_SEQUENCE_FORMAT,
+      version: LANDMARK_SEQUENCE_VERSION,
+      name: startedAt ? `session-${startedAt}` : "session",
+      description: "Live session recorded from the /kameha page",
+      recordedAt: startedAt,
+      videoWidth: this.videoWidth,
+      videoHeight: this.videoHeight,
+      frames: this.frames,
+    };
+    if (this.detectorOptions) {
+      sequence.detectorOptions = this.detectorOptions;
+    }
+    if (this.smoothing) {
+      sequence.smoothing = this.smoothing;
+    }
+    return sequence;
+  }
+}
+
+// Trigger a browser download of a recorded sequence as JSON
+export function downloadLandmarkSession(sequence, fileName) {
+  const name =
+    fileName ||
+    `kamehameha-${(sequence.recordedAt || new Date().toISOString()).replace(
+      /[:.]/g,
+      "-"
+    )}.json`;
+  const blob = new Blob([JSON.stringify(sequence)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
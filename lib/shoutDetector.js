@@ -0,0 +1,73 @@
+// Loud voice detection from the microphone, for the techniques that fire on a shout (Solar
+// Flare). Only the loudness is measured: no speech recognition, and nothing is recorded or
+// sent anywhere.
+//
+// isShouting(timestamp) is true once the level has stayed above `threshold` for
+// `minDuration` ms, so a clap or a knock on the desk does not count as a shout. In local
+// multiplayer the microphone is shared: a shout counts for every player.
+
+export const DEFAULT_SHOUT_OPTIONS = {
+  threshold: 0.2, // RMS level (0-1) of the microphone signal
+  minDuration: 150, // ms the level must stay above the threshold
+};
+
+export class ShoutDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SHOUT_OPTIONS, ...options };
+    this.stream = null;
+    this.audioContext = null;
+    this.analyser = null;
+    this.samples = null;
+    this.loudSince = null; // Timestamp the level went above the threshold
+  }
+
+  // Asks for the microphone; rejects when it is denied or unavailable
+  async start() {
+    if (this.analyser) return;
+    // Echo cancellation keeps the game's own sounds from counting as shouts
+    this.stream = await window.navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true },
+    });
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    this.audioContext = new AudioContext();
+    // Not awaited: a context created outside a click may wait for one to resume
+    this.audioContext.resume();
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.samples = new Float32Array(this.analyser.fftSize);
+    this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+  }
+
+  // Current RMS level of the microphone signal (0-1), 0 before start()
+  level() {
+    if (!this.analyser) return 0;
+    this.analyser.getFloatTimeDomainData(this.samples);
+    let sum = 0;
+    for (let i = 0; i < this.samples.length; i++) {
+      sum += this.samples[i] * this.samples[i];
+    }
+    return Math.sqrt(sum / this.samples.length);
+  }
+
+  isShouting(timestamp) {
+    if (this.level() < this.options.threshold) {
+      this.loudSince = null;
+      return false;
+    }
+    if (this.loudSince === null) this.loudSince = timestamp;
+    return timestamp - this.loudSince >= this.options.minDuration;
+  }
+
+  stop() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+    }
+    this.stream = null;
+    this.audioContext = null;
+    this.analyser = null;
+    this.loudSince = null;
+  }
+}
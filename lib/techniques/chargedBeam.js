@@ -0,0 +1,80 @@
+// Phases shared by the beam techniques: hold the charging pose to get into position, keep
+// holding it to charge, then switch to the firing pose to release a beam that lasts longer
+// the longer it was charged. Losing the charging pose for a moment drains the charge rather
+// than losing it all. Techniques name their poses "charging" and "firing" and only differ
+// in how the poses are recognized and where the beam is aimed.
+//
+// aim(detector, hands, engine): beam direction (view space, see
+// KamehamehaDetector.calculateThrustDirection) when firing starts and every firing frame
+// the pose is held.
+export function chargedBeamPhases(aim) {
+  return {
+    start: { pose: "charging", phase: "positioning" },
+    phases: {
+      positioning: { pose: "charging", holdTime: "positioningHoldTime", next: "charging" },
+      charging: {
+        pose: "charging",
+        maxDuration: "maxChargingTime", // Charging too long resets the gesture
+        // A jittery frame or hands out of sight drain the charge until the pose comes back
+        graceTime: "chargeGraceTime",
+        drainRate: "chargeDrainRate",
+        release: { pose: "firing", minDuration: "minimumChargingTime", phase: "firing" },
+      },
+      firing: {
+        pose: "firing",
+        graceTime: "firingGraceTime",
+        // The charge decides how long the beam lasts, never beyond maxFiringTime
+        maxDuration: (detector) =>
+          Math.min(detector.allowedFiringDuration, detector.options.maxFiringTime),
+      },
+    },
+
+    onEnter: {
+      positioning: (detector) => {
+        detector.positioningDuration = 0;
+      },
+      charging: (detector) => {
+        detector.chargingDuration = 0;
+        // Store the charging position for direction calculation
+        const history = detector.handPositionHistory;
+        if (history.length > 0) {
+          detector.chargingPosition = { ...history[history.length - 1] };
+        }
+      },
+      firing: (detector, { hands, timestamp }, engine) => {
+        // Linear scaling: full charge (the technique's chargeTime, maxChargingTime otherwise,
+        // like the fired event's power) = maxFiringDuration, never below minFiringDuration
+        const { maxFiringDuration, minFiringDuration } = detector.options;
+        const chargingRatio = Math.min(detector.chargingDuration / detector.getFullChargeTime(), 1.0);
+        detector.allowedFiringDuration = Math.max(minFiringDuration, chargingRatio * maxFiringDuration);
+        detector.firingStartTime = timestamp;
+        detector.firingFrameCount = 1;
+        detector.logger.info(
+          `⚡ Charged for ${detector.chargingDuration}ms, allowed firing: ${detector.allowedFiringDuration}ms`
+        );
+        detector.beamDirection = aim(detector, hands, engine);
+      },
+    },
+
+    onFrame: {
+      positioning: (detector, frame, engine) => {
+        detector.positioningDuration = engine.heldDuration;
+      },
+      charging: (detector, frame, engine) => {
+        detector.chargingDuration = engine.heldDuration;
+        detector.logChargingProgress();
+      },
+      firing: (detector, { hands, held, timestamp }, engine) => {
+        detector.firingFrameCount++; // Drives the beam animation in KamehamehaEffects
+        if (held) {
+          // Follow the hands every frame for smooth aiming
+          detector.updateBeamDirection(aim(detector, hands, engine));
+        } else {
+          detector.logger.debug(
+            `🎯 Firing pose lost temporarily (${timestamp - engine.poseLostTime}ms/${detector.options.firingGraceTime}ms)`
+          );
+        }
+      },
+    },
+  };
+}
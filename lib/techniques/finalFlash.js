@@ -0,0 +1,146 @@
+// Final Flash technique definition for GestureEngine (see lib/gestureEngine.js)
+//
+// Vegeta's Final Flash: both palms open with the fingers extended, hands side by side or
+// stacked in front of the chest to charge, then pushed toward the camera to fire. The push
+// is seen as the hands growing on screen compared to when charging started, so the beam
+// comes out at the viewer.
+import { HAND_UNIT, angleBetween, distanceBetween } from "../gestureEngine.js";
+import { chargedBeamPhases } from "./chargedBeam.js";
+import { aimAlongMotion, measureHands } from "./handMotion.js";
+import { fingerExtension } from "./handShape.js";
+
+// Expected ranges for each pose criterion (hand sizes, degrees and size ratios)
+export const FINAL_FLASH_RANGES = {
+  fingersExtended: { min: 1.5, max: null }, // wrist → fingertip, in palm lengths
+  thumbOut: { min: 0.6, max: null }, // thumb tip → index knuckle, in palm lengths
+  palmDistance: { min: 0.5, max: 2.2 }, // between the palm centers
+  fingersUp: { min: -150, max: -30 }, // wrist → middle fingertip, video axes (-90° = up)
+  push: { min: 1.15, max: null }, // hand size compared to when charging started
+};
+
+const bothHands = (range) => ({ left: range, right: range });
+
+function thumbOpening(points) {
+  const palm = distanceBetween(points.wrist, points.middle_finger_mcp);
+  return palm > 0 ? distanceBetween(points.thumb_tip, points.index_finger_mcp) / palm : null;
+}
+
+const palmCenter = (points) => ({
+  x: (points.wrist.x + points.middle_finger_mcp.x) / 2,
+  y: (points.wrist.y + points.middle_finger_mcp.y) / 2,
+});
+
+// Hand size now compared to the reference taken when charging started (null before that)
+const pushOf = ({ scale, state }) => (state.reference ? scale / state.reference.scale : null);
+
+const fingersExtended = {
+  name: "fingersExtended",
+  required: true, // What tells open palms apart from the Kamehameha's cupped hands
+  unit: "palm",
+  expected: bothHands(FINAL_FLASH_RANGES.fingersExtended),
+  measure: ({ points }) => ({
+    left: fingerExtension(points.left),
+    right: fingerExtension(points.right),
+  }),
+};
+
+const palmsTogether = {
+  name: "palmsTogether",
+  required: true, // The Spirit Bomb's open hands are held wide apart
+  unit: HAND_UNIT,
+  expected: FINAL_FLASH_RANGES.palmDistance,
+  measure: ({ points }) => distanceBetween(palmCenter(points.left), palmCenter(points.right)),
+};
+
+const fingersUp = {
+  name: "fingersUp",
+  required: true, // The Kamehameha's fingers point at each other
+  unit: "deg",
+  expected: bothHands(FINAL_FLASH_RANGES.fingersUp),
+  measure: ({ points }) => ({
+    left: angleBetween(points.left.wrist, points.left.middle_finger_tip),
+    right: angleBetween(points.right.wrist, points.right.middle_finger_tip),
+  }),
+};
+
+const requiredKeypoints = [
+  "wrist",
+  "thumb_tip",
+  "index_finger_mcp",
+  "middle_finger_mcp",
+  "middle_finger_tip",
+];
+
+// Palms open in front of the chest, not pushed yet
+const chargingPose = {
+  threshold: 4,
+  requiredKeypoints,
+  criteria: [
+    fingersExtended,
+    palmsTogether,
+    fingersUp,
+    {
+      name: "thumbOut",
+      unit: "palm",
+      expected: bothHands(FINAL_FLASH_RANGES.thumbOut),
+      measure: ({ points }) => ({
+        left: thumbOpening(points.left),
+        right: thumbOpening(points.right),
+      }),
+    },
+    {
+      // Pushing is what fires: the charging pose ends where the firing pose starts
+      name: "holdingBack",
+      required: true,
+      unit: "ratio",
+      expected: { min: null, max: FINAL_FLASH_RANGES.push.min },
+      evaluate: (context) => {
+        const push = pushOf(context);
+        return { passed: push === null || push < FINAL_FLASH_RANGES.push.min, value: push };
+      },
+    },
+  ],
+};
+
+// Open palms pushed toward the camera
+const firingPose = {
+  threshold: 3,
+  requiredKeypoints,
+  criteria: [
+    fingersExtended,
+    palmsTogether,
+    fingersUp,
+    {
+      name: "pushedForward",
+      required: true,
+      unit: "ratio",
+      expected: FINAL_FLASH_RANGES.push,
+      measure: pushOf,
+    },
+  ],
+};
+
+// Beam along the push: on screen, the way the palms moved since charging started (to the
+// right when they went straight ahead); in depth, toward the camera as much as they grew
+const aimPush = (detector, hands, engine) =>
+  aimAlongMotion(detector, engine.state.reference, hands, { method: "palm-push" }) ||
+  detector.beamDirection;
+
+const phases = chargedBeamPhases(aimPush);
+
+export const FINAL_FLASH_TECHNIQUE = {
+  name: "finalFlash",
+  // Open palms side by side also pass the Kamehameha's lenient default pose: this one is the
+  // more specific match
+  priority: 1,
+  poses: { charging: chargingPose, firing: firingPose },
+  ...phases,
+  onEnter: {
+    ...phases.onEnter,
+    charging: (detector, frame, engine) => {
+      phases.onEnter.charging(detector, frame, engine);
+      // The push is measured from the hands' size and position when charging starts
+      engine.state.reference = measureHands(detector, frame.hands);
+    },
+  },
+};
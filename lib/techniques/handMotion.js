@@ -0,0 +1,70 @@
+// Where the gesture's hands went since a reference taken earlier in the technique, for the
+// moves fired by moving the hands rather than by changing their shape (Final Flash's push,
+// Spirit Bomb's throw, a ki blast). Growth on screen is read as the hands coming toward the
+// camera.
+
+// Share of the hand size growth turned into depth, in hand sizes: a hand about five hand
+// sizes from the camera that grows by 20% came about one hand size closer
+export const DEPTH_GAIN = 5;
+
+// Shortest on-screen motion (hand sizes) still used for the on-screen angle
+const MIN_MOTION_LENGTH = 0.17;
+
+function palmCenter(hand) {
+  const wrist = hand.keypoints.find((kp) => kp.name === "wrist");
+  const middleMcp = hand.keypoints.find((kp) => kp.name === "middle_finger_mcp");
+  return wrist && middleMcp ? { x: (wrist.x + middleMcp.x) / 2, y: (wrist.y + middleMcp.y) / 2 } : null;
+}
+
+// Pair size (pixels) and palm center (video pixels) of the gesture's hands, or null
+export function measureHands(detector, hands) {
+  if (!hands || hands.length !== 2) return null;
+  const [leftHand, rightHand] = detector.identifyHands(hands);
+  if (!leftHand || !rightHand) return null;
+  const centers = [leftHand, rightHand].map(palmCenter);
+  if (!centers[0] || !centers[1]) return null;
+  return {
+    scale: detector.getPairScale(leftHand, rightHand),
+    center: { x: (centers[0].x + centers[1].x) / 2, y: (centers[0].y + centers[1].y) / 2 },
+  };
+}
+
+// The same for a single hand: its size and palm center, or null
+export function measureHand(detector, hand) {
+  const center = hand ? palmCenter(hand) : null;
+  return center ? { scale: detector.getHandScale(hand), center } : null;
+}
+
+// Direction (view space, see KamehamehaDetector.calculateThrustDirection) along the way the
+// hands moved since `reference` (from measureHands): on screen as they moved, or along
+// `fallback` (view-space unit vector) when they barely moved; in depth, toward the camera as
+// much as they grew. null when either measurement is missing.
+export function aimAlongMotion(detector, reference, hands, options) {
+  return aimBetween(detector, reference, measureHands(detector, hands), options);
+}
+
+// The same between two measurements (measureHands or measureHand)
+export function aimBetween(detector, reference, current, { fallback = { x: 1, y: 0 }, method } = {}) {
+  if (!reference || !current) return null;
+
+  const space = detector.coordinateSpace;
+  const from = space.toView(reference.center);
+  const origin = space.toView(current.center);
+  let dx = (origin.x - from.x) / current.scale;
+  let dy = (origin.y - from.y) / current.scale;
+  if (Math.hypot(dx, dy) < MIN_MOTION_LENGTH) {
+    dx = fallback.x * MIN_MOTION_LENGTH;
+    dy = fallback.y * MIN_MOTION_LENGTH;
+  }
+  const dz = Math.max(0, current.scale / reference.scale - 1) * DEPTH_GAIN;
+  const planar = Math.hypot(dx, dy);
+  const length = Math.hypot(dx, dy, dz);
+
+  return {
+    angle: Math.atan2(dy, dx),
+    vector: { x: dx / planar, y: dy / planar },
+    vector3D: { x: dx / length, y: dy / length, z: dz / length },
+    origin,
+    method,
+  };
+}
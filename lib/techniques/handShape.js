@@ -0,0 +1,25 @@
+// Shape measurements of a single hand shared by the techniques, on keypoints normalized by
+// GestureEngine's pose context (points.left, points.right, or points for one-hand poses)
+import { distanceBetween } from "../gestureEngine.js";
+
+const FINGERTIPS = ["index_finger_tip", "middle_finger_tip", "ring_finger_tip", "pinky_finger_tip"];
+
+// Wrist → middle finger knuckle, the palm length the other measurements are given in
+const palmLength = (points) => distanceBetween(points.wrist, points.middle_finger_mcp);
+
+// Average wrist → fingertip distance in palm lengths
+export function fingerExtension(points) {
+  const palm = palmLength(points);
+  if (!(palm > 0)) return null;
+  const tips = FINGERTIPS.filter((name) => points[name]);
+  if (tips.length === 0) return null;
+  const total = tips.reduce((sum, name) => sum + distanceBetween(points.wrist, points[name]), 0);
+  return total / tips.length / palm;
+}
+
+// Index tip → pinky tip distance in palm lengths: how far the fingers are spread
+export function fingerSpread(points) {
+  const palm = palmLength(points);
+  if (!(palm > 0) || !points.index_finger_tip || !points.pinky_finger_tip) return null;
+  return distanceBetween(points.index_finger_tip, points.pinky_finger_tip) / palm;
+}
@@ -0,0 +1,252 @@
+// Kamehameha technique definition for GestureEngine (see lib/gestureEngine.js)
+//
+// Hold the charging pose (wrists close in a V, palms cupped around an energy sphere) for
+// positioningHoldTime, keep holding it to charge, then thrust into the firing pose: the
+// longer the charge, the longer the beam lasts. Only a real thrust fires (hands pushed fast
+// the way the fingers point or toward the camera, see KamehamehaDetector.getThrust), not
+// hands drifting or turning into the firing pose while charging.
+import { HAND_UNIT, angleBetween, distanceBetween } from "../gestureEngine.js";
+import { chargedBeamPhases } from "./chargedBeam.js";
+
+// Expected ranges for each pose criterion (hand sizes and degrees). null means unbounded.
+// Shared by the criteria, the detector's measurement helpers and the pose coaching.
+export const CHARGING_POSE_RANGES = {
+  wristDistance: { min: 0.5, max: 2 }, // 30-120px
+  vFormation: { min: 120, max: 180 },
+  palmOrientation: { min: 0, max: 45 },
+  wristRotation: { left: { min: 90, max: 150 }, right: { min: 30, max: 90 } },
+  fingerSpread: { spread: { min: 1.67, max: null }, intensity: { min: 0.7, max: null } }, // >100px
+  energyFunnel: { min: 0, max: 45 },
+};
+
+export const FIRING_POSE_RANGES = {
+  fingersCurved: { min: 0.33, max: 1 }, // 40px ± 20px
+  handsAligned: {
+    verticalOffset: { min: 0, max: 0.5 }, // 30px
+    distance: { min: 1.33, max: 3.33 }, // 80-200px
+  },
+  wristsRotatedInward: { min: 0, max: 45 },
+  energySphere: {
+    radius: { min: 0.5, max: 1.67 }, // 30-100px
+    variance: { min: 0, max: 0.33 }, // 20px
+  },
+  thrust: { min: 3, max: null }, // hand sizes per second, along the fingers or forward
+};
+
+// ms of hand motion the thrust speed is measured over: the hands may settle in the firing
+// pose a moment after the thrust itself
+const THRUST_WINDOW = 300;
+
+// Share of the thrust speed that must be seen on screen before the fingertips coming forward
+// in keypoints3D make up the rest
+const DEPTH_THRUST_SHARE = 0.75;
+
+const bothHands = (range) => ({ left: range, right: range });
+
+// Dragon Ball Z charging pose: six criteria, chargingScoreThreshold of them required
+const chargingPose = {
+  threshold: "chargingScoreThreshold",
+  requiredKeypoints: ["wrist", "thumb_tip", "index_finger_tip"],
+  // The energy sphere sits between the cupped fingers, 30% of the way back to the wrists
+  prepare: ({ left, right, normalize, detector }) => {
+    const sphereCenter = detector.calculateEnergySphereCenter(left, right);
+    return { sphereCenter, sphere: normalize(sphereCenter) };
+  },
+  criteria: [
+    {
+      // Wrists close together but not touching (energy sphere formation distance)
+      name: "wristDistance",
+      unit: HAND_UNIT,
+      expected: CHARGING_POSE_RANGES.wristDistance,
+      measure: ({ points }) => distanceBetween(points.left.wrist, points.right.wrist),
+    },
+    {
+      // Wrists angled inward: angle between the wrist → sphere directions
+      name: "vFormation",
+      unit: "deg",
+      expected: CHARGING_POSE_RANGES.vFormation,
+      measure: ({ points, sphere }) =>
+        Math.abs(angleBetween(points.left.wrist, sphere) - angleBetween(points.right.wrist, sphere)),
+    },
+    {
+      // Palms face the energy sphere: wrist → index tip within 45° of wrist → sphere
+      name: "palmOrientation",
+      unit: "deg",
+      expected: bothHands(CHARGING_POSE_RANGES.palmOrientation),
+      measure: ({ points, sphere }) => ({
+        left: Math.abs(
+          angleBetween(points.left.wrist, points.left.index_finger_tip) -
+            angleBetween(points.left.wrist, sphere)
+        ),
+        right: Math.abs(
+          angleBetween(points.right.wrist, points.right.index_finger_tip) -
+            angleBetween(points.right.wrist, sphere)
+        ),
+      }),
+    },
+    {
+      // Wrists rotated outward: left thumb points up-left, right thumb up-right (video axes)
+      name: "wristRotation",
+      unit: "deg",
+      expected: CHARGING_POSE_RANGES.wristRotation,
+      measure: ({ points }) => ({
+        left: angleBetween(points.left.wrist, points.left.thumb_tip),
+        right: angleBetween(points.right.wrist, points.right.thumb_tip),
+      }),
+    },
+    {
+      // Wide, aggressive finger spread
+      name: "fingerSpread",
+      unit: HAND_UNIT,
+      expected: CHARGING_POSE_RANGES.fingerSpread,
+      measure: ({ left, right, detector }) => {
+        const leftSpread = detector.calculateEnhancedFingerSpread(left);
+        const rightSpread = detector.calculateEnhancedFingerSpread(right);
+        return {
+          spread: (leftSpread.totalSpread + rightSpread.totalSpread) / 2,
+          intensity: (leftSpread.intensity + rightSpread.intensity) / 2,
+        };
+      },
+    },
+    {
+      // Fingers converge toward the sphere like a funnel
+      name: "energyFunnel",
+      unit: "deg",
+      expected: bothHands(CHARGING_POSE_RANGES.energyFunnel),
+      evaluate: ({ left, right, sphereCenter, detector }) => {
+        const funnel = detector.analyzeDragonBallZEnergyFunnel(left, right, sphereCenter);
+        return {
+          passed: funnel.isValid,
+          value: {
+            left: funnel.leftConvergence ?? null,
+            right: funnel.rightConvergence ?? null,
+          },
+          reason: funnel.reason,
+        };
+      },
+    },
+  ],
+};
+
+// Firing pose: four criteria, firingScoreThreshold of them required (tolerant by default so
+// minor hand movements do not end the beam), entered with a thrust
+const firingPose = {
+  threshold: "firingScoreThreshold",
+  requiredKeypoints: ["wrist", "thumb_tip", "index_finger_tip", "middle_finger_tip"],
+  criteria: [
+    {
+      // Fingers curved consistently around the energy sphere
+      name: "fingersCurved",
+      unit: HAND_UNIT,
+      expected: bothHands(FIRING_POSE_RANGES.fingersCurved),
+      evaluate: ({ left, right, detector }) => {
+        const curved = detector.checkFingersCurved(left, right);
+        return {
+          passed: curved.isValid,
+          value: { left: curved.avgLeftCurvature ?? null, right: curved.avgRightCurvature ?? null },
+        };
+      },
+    },
+    {
+      // Hands tightly aligned and symmetrical
+      name: "handsAligned",
+      unit: HAND_UNIT,
+      expected: FIRING_POSE_RANGES.handsAligned,
+      evaluate: ({ left, right, detector }) => {
+        const aligned = detector.checkHandsAligned(
+          left.keypoints.find((kp) => kp.name === "wrist"),
+          right.keypoints.find((kp) => kp.name === "wrist"),
+          left,
+          right
+        );
+        return {
+          passed: aligned.isValid,
+          value: { verticalOffset: aligned.verticalAlignment, distance: aligned.handDistance },
+        };
+      },
+    },
+    {
+      // Wrists slightly rotated inward
+      name: "wristsRotatedInward",
+      unit: "deg",
+      expected: bothHands(FIRING_POSE_RANGES.wristsRotatedInward),
+      evaluate: ({ left, right, detector }) => {
+        const rotated = detector.checkWristsRotated(left, right);
+        return {
+          passed: rotated.isValid,
+          value: {
+            left: rotated.leftInwardOffset ?? null,
+            right: rotated.rightInwardOffset ?? null,
+          },
+        };
+      },
+    },
+    {
+      // Palms facing inward, fingertips on a circle around the sphere
+      name: "energySphere",
+      unit: HAND_UNIT,
+      expected: FIRING_POSE_RANGES.energySphere,
+      evaluate: ({ left, right, detector }) => {
+        const sphere = detector.checkEnergySphereFormation(left, right);
+        return {
+          passed: sphere.isValid,
+          value: { radius: sphere.avgDistance ?? null, variance: sphere.maxVariance ?? null },
+        };
+      },
+    },
+    {
+      // Required to leave charging but does not count toward the score; once the beam is
+      // out, holding the pose is enough
+      name: "thrust",
+      required: true,
+      weight: 0,
+      unit: "hand/s",
+      expected: FIRING_POSE_RANGES.thrust,
+      evaluate: ({ detector }) => {
+        const thrust = detector.getThrust(THRUST_WINDOW);
+        if (detector.gestureState === "firing") return { passed: true, value: thrust };
+        if (!thrust) return { passed: false, value: null, reason: "no hand motion yet" };
+        const { min } = FIRING_POSE_RANGES.thrust;
+        const onScreen = Math.max(thrust.outward, thrust.forward);
+        // The fingertips coming forward in keypoints3D only count alongside a push seen on
+        // screen: turning the hands alone brings them forward too
+        const inDepth = thrust.depth !== null && onScreen >= min * DEPTH_THRUST_SHARE && thrust.depth >= min;
+        return { passed: onScreen >= min || inDepth, value: thrust };
+      },
+    },
+  ],
+};
+
+// The beam follows the V between the wrists and the fingertips, after keeping the aim
+// previewed while charging for its first aimLockFrames frames (see lib/detectorOptions.js)
+const aimBeam = (detector, hands) =>
+  detector.chargingAim && detector.firingFrameCount <= detector.options.aimLockFrames
+    ? detector.chargingAim
+    : detector.calculateThrustDirection(hands);
+
+const beam = chargedBeamPhases(aimBeam);
+
+// Charging previews the aim (getGestureData's aimPreview) so the player can aim before firing
+const previewAim = (detector, { hands }) => {
+  detector.chargingAim = detector.calculateChargingAim(hands) || detector.chargingAim;
+};
+
+export const KAMEHAMEHA_TECHNIQUE = {
+  name: "kamehameha",
+  poses: { charging: chargingPose, firing: firingPose },
+  ...beam,
+  onEnter: {
+    ...beam.onEnter,
+    charging: (detector, frame, engine) => {
+      beam.onEnter.charging(detector, frame, engine);
+      previewAim(detector, frame);
+    },
+  },
+  onFrame: {
+    ...beam.onFrame,
+    charging: (detector, frame, engine) => {
+      beam.onFrame.charging(detector, frame, engine);
+      previewAim(detector, frame);
+    },
+  },
+};
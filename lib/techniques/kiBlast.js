@@ -0,0 +1,102 @@
+// Ki blast technique definition for GestureEngine (see lib/gestureEngine.js)
+//
+// One hand is enough: a quick push of an open palm toward the camera launches a small
+// energy ball. There is no charge and no pose to hold, so pushing again and again fires
+// blast after blast. The push is read from how fast the hand grows on screen over the last
+// frames (KamehamehaDetector.getSingleHandMotion, the one-hand counterpart of
+// handPositionHistory).
+import { angleBetween } from "../gestureEngine.js";
+import { aimBetween } from "./handMotion.js";
+import { fingerExtension } from "./handShape.js";
+
+// Expected ranges for each pose criterion (palm lengths, degrees and growth rates)
+export const KI_BLAST_RANGES = {
+  fingersExtended: { min: 1.5, max: null }, // wrist → fingertip, in palm lengths
+  fingersUp: { min: -160, max: -20 }, // wrist → middle fingertip, video axes (-90° = up)
+  pushSpeed: { min: 0.8, max: null }, // hand size growth per second
+};
+
+// The push is measured over the last `pushWindow` ms. The detector fires for `fireTime`,
+// then KamehamehaEffects flies the blast for `flightTime` and bursts it for `impactTime`
+// on its own, so several blasts can be in the air at once (ms).
+export const KI_BLAST_TIMING = { pushWindow: 150, fireTime: 150, flightTime: 800, impactTime: 300 };
+
+// Hand size growth per second over the last pushWindow ms (null without enough history)
+function pushSpeedOf(detector, hand) {
+  const motion = detector.getSingleHandMotion(hand, KI_BLAST_TIMING.pushWindow);
+  if (!motion) return null;
+  const { reference, latest } = motion;
+  const seconds = (latest.timestamp - reference.timestamp) / 1000;
+  return seconds > 0 ? (latest.scale / reference.scale - 1) / seconds : null;
+}
+
+// An open palm pushed toward the camera
+const pushPose = {
+  hands: 1,
+  threshold: 2,
+  requiredKeypoints: ["wrist", "middle_finger_mcp", "middle_finger_tip"],
+  criteria: [
+    {
+      name: "pushing",
+      required: true,
+      unit: "ratio/s",
+      expected: KI_BLAST_RANGES.pushSpeed,
+      measure: ({ hand, detector }) => pushSpeedOf(detector, hand),
+    },
+    {
+      // A punch is not a ki blast
+      name: "fingersExtended",
+      required: true,
+      unit: "palm",
+      expected: KI_BLAST_RANGES.fingersExtended,
+      measure: ({ points }) => fingerExtension(points),
+    },
+    {
+      name: "fingersUp",
+      unit: "deg",
+      expected: KI_BLAST_RANGES.fingersUp,
+      measure: ({ points }) => angleBetween(points.wrist, points.middle_finger_tip),
+    },
+  ],
+};
+
+// Along the push: on screen as the palm moved (to the right when it went straight ahead),
+// toward the camera as much as it grew
+function aimPush(detector, engine) {
+  const analysis = engine.poseAnalyses.push;
+  const motion = analysis && analysis.hand
+    ? detector.getSingleHandMotion(analysis.hand, KI_BLAST_TIMING.pushWindow)
+    : null;
+  return (
+    (motion && aimBetween(detector, motion.reference, motion.latest, { method: "ki-blast" })) ||
+    detector.beamDirection
+  );
+}
+
+export const KI_BLAST_TECHNIQUE = {
+  name: "kiBlast",
+  projectile: "blast",
+  poses: { push: pushPose },
+  start: { pose: "push", phase: "firing" },
+  phases: {
+    // Just long enough to launch: the blast flies on its own and the hand is free for the next
+    firing: { maxDuration: KI_BLAST_TIMING.fireTime },
+  },
+
+  onEnter: {
+    firing: (detector, { timestamp }, engine) => {
+      detector.chargingDuration = 0;
+      detector.allowedFiringDuration = KI_BLAST_TIMING.fireTime;
+      detector.firingStartTime = timestamp;
+      detector.firingFrameCount = 1;
+      detector.beamDirection = aimPush(detector, engine);
+      detector.logger.info("⚡ Ki blast");
+    },
+  },
+
+  onFrame: {
+    firing: (detector) => {
+      detector.firingFrameCount++;
+    },
+  },
+};
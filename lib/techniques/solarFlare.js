@@ -0,0 +1,183 @@
+// Solar Flare (Taiyoken) technique definition for GestureEngine (see lib/gestureEngine.js)
+//
+// Both open hands beside the face, fingers spread: hold them there for a moment, or shout,
+// and the screen flashes. A quick move with no long charge and no firing pose to hold, for
+// players who cannot hold the Kamehameha long enough. Needs face landmarks
+// (KamehamehaDetector.detectGesture's faces).
+import { angleBetween } from "../gestureEngine.js";
+import { fingerExtension, fingerSpread } from "./handShape.js";
+
+// Expected ranges for each pose criterion (face widths, palm lengths and degrees)
+export const SOLAR_FLARE_RANGES = {
+  besideFace: { min: 0.4, max: 1.8 }, // palm center → face center, horizontally
+  faceLevel: { min: null, max: 0.8 }, // palm center → face center, vertically
+  fingersExtended: { min: 1.5, max: null }, // wrist → fingertip, in palm lengths
+  fingerSpread: { min: 0.9, max: null }, // index tip → pinky tip, in palm lengths
+  fingersUp: { min: -150, max: -30 }, // wrist → middle fingertip, video axes (-90° = up)
+};
+
+// How long the pose is held before the flash (unless the player shouts), then how long the
+// flash lasts (ms)
+export const SOLAR_FLARE_TIMING = { holdTime: 1000, flashTime: 1200 };
+
+// MediaPipe FaceMesh keypoints on the left and right edges of the face
+const FACE_EDGES = [234, 454];
+
+const bothHands = (range) => ({ left: range, right: range });
+
+const palmCenter = (hand) => {
+  const wrist = hand.keypoints.find((kp) => kp.name === "wrist");
+  const middleMcp = hand.keypoints.find((kp) => kp.name === "middle_finger_mcp");
+  return { x: (wrist.x + middleMcp.x) / 2, y: (wrist.y + middleMcp.y) / 2 };
+};
+
+// Center and width (video pixels) of the face nearest the hands, or null
+function nearestFace(faces, near) {
+  let nearest = null;
+  faces.forEach((face) => {
+    const edges = FACE_EDGES.map((index) => face.keypoints && face.keypoints[index]);
+    if (!edges[0] || !edges[1]) return;
+    const center = { x: (edges[0].x + edges[1].x) / 2, y: (edges[0].y + edges[1].y) / 2 };
+    const width = Math.hypot(edges[1].x - edges[0].x, edges[1].y - edges[0].y);
+    const distance = Math.hypot(center.x - near.x, center.y - near.y);
+    if (width > 0 && (!nearest || distance < nearest.distance)) {
+      nearest = { center, width, distance };
+    }
+  });
+  return nearest;
+}
+
+// Palm offsets from the face center in face widths, { left: { x, y }, right: { x, y } }
+const offsetsOf = ({ palms, face }) => {
+  const offset = (palm) => ({
+    x: (palm.x - face.center.x) / face.width,
+    y: (palm.y - face.center.y) / face.width,
+  });
+  return { left: offset(palms.left), right: offset(palms.right) };
+};
+
+// Open hands on either side of the face
+const chargingPose = {
+  threshold: 4,
+  requiredKeypoints: ["wrist", "middle_finger_mcp", "middle_finger_tip"],
+  prepare: ({ left, right, faces }) => {
+    const palms = { left: palmCenter(left), right: palmCenter(right) };
+    const face = nearestFace(faces, {
+      x: (palms.left.x + palms.right.x) / 2,
+      y: (palms.left.y + palms.right.y) / 2,
+    });
+    return { palms, face };
+  },
+  criteria: [
+    {
+      name: "framingFace",
+      required: true,
+      unit: "face",
+      expected: null,
+      evaluate: (context) => {
+        if (!context.face) return { passed: false, value: null, reason: "no face detected" };
+        const offsets = offsetsOf(context);
+        // One palm on each side of the face
+        return { passed: offsets.left.x * offsets.right.x < 0, value: offsets };
+      },
+    },
+    {
+      name: "besideFace",
+      unit: "face",
+      expected: bothHands(SOLAR_FLARE_RANGES.besideFace),
+      measure: (context) => {
+        if (!context.face) return null;
+        const offsets = offsetsOf(context);
+        return { left: Math.abs(offsets.left.x), right: Math.abs(offsets.right.x) };
+      },
+    },
+    {
+      name: "faceLevel",
+      unit: "face",
+      expected: bothHands(SOLAR_FLARE_RANGES.faceLevel),
+      measure: (context) => {
+        if (!context.face) return null;
+        const offsets = offsetsOf(context);
+        return { left: Math.abs(offsets.left.y), right: Math.abs(offsets.right.y) };
+      },
+    },
+    {
+      name: "fingersExtended",
+      unit: "palm",
+      expected: bothHands(SOLAR_FLARE_RANGES.fingersExtended),
+      measure: ({ points }) => ({
+        left: fingerExtension(points.left),
+        right: fingerExtension(points.right),
+      }),
+    },
+    {
+      name: "fingersSpread",
+      unit: "palm",
+      expected: bothHands(SOLAR_FLARE_RANGES.fingerSpread),
+      measure: ({ points }) => ({
+        left: fingerSpread(points.left),
+        right: fingerSpread(points.right),
+      }),
+    },
+    {
+      name: "fingersUp",
+      unit: "deg",
+      expected: bothHands(SOLAR_FLARE_RANGES.fingersUp),
+      measure: ({ points }) => ({
+        left: angleBetween(points.left.wrist, points.left.middle_finger_tip),
+        right: angleBetween(points.right.wrist, points.right.middle_finger_tip),
+      }),
+    },
+  ],
+};
+
+export const SOLAR_FLARE_TECHNIQUE = {
+  name: "solarFlare",
+  projectile: "flash",
+  faceKeypoints: FACE_EDGES,
+  // Open hands beside the face also pass the Kamehameha's lenient default pose: the face
+  // makes this one the more specific match
+  priority: 1,
+  chargeTime: SOLAR_FLARE_TIMING.holdTime,
+  poses: { charging: chargingPose },
+  start: { pose: "charging", phase: "positioning" },
+  phases: {
+    positioning: { pose: "charging", holdTime: "positioningHoldTime", next: "charging" },
+    // Flashes after a moment, or at once when the player shouts
+    charging: {
+      pose: "charging",
+      holdTime: (detector) => (detector.shouting ? 0 : SOLAR_FLARE_TIMING.holdTime),
+      next: "firing",
+    },
+    // The flash is on its own once triggered
+    firing: { maxDuration: SOLAR_FLARE_TIMING.flashTime },
+  },
+
+  onEnter: {
+    positioning: (detector) => {
+      detector.positioningDuration = 0;
+    },
+    charging: (detector) => {
+      detector.chargingDuration = 0;
+    },
+    firing: (detector, { timestamp }) => {
+      detector.allowedFiringDuration = SOLAR_FLARE_TIMING.flashTime;
+      detector.firingStartTime = timestamp;
+      detector.firingFrameCount = 1;
+      detector.logger.info(`☀️ Solar Flare after ${detector.chargingDuration}ms${detector.shouting ? " (shout)" : ""}`);
+    },
+  },
+
+  onFrame: {
+    positioning: (detector, frame, engine) => {
+      detector.positioningDuration = engine.heldDuration;
+    },
+    charging: (detector, frame, engine) => {
+      detector.chargingDuration = engine.heldDuration;
+      detector.logChargingProgress();
+    },
+    firing: (detector) => {
+      detector.firingFrameCount++;
+    },
+  },
+};
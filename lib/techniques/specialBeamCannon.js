@@ -0,0 +1,179 @@
+// Special Beam Cannon (Makankosappo) technique definition for GestureEngine (see
+// lib/gestureEngine.js)
+//
+// Piccolo's one-hand move: index and middle finger extended together, the other fingers
+// curled, fingertips held to the forehead to charge, then pointed out to fire a thin
+// spiral beam along the fingers. Needs face landmarks (KamehamehaDetector.detectGesture's
+// faces): without a face in frame the charging pose cannot be recognized.
+import { HAND_UNIT, distanceBetween } from "../gestureEngine.js";
+import { chargedBeamPhases } from "./chargedBeam.js";
+
+// Expected ranges for each pose criterion (palm lengths and hand sizes)
+export const SPECIAL_BEAM_CANNON_RANGES = {
+  fingerOut: { min: 1.5, max: null }, // wrist → index / middle fingertip, in palm lengths
+  fingerCurled: { min: null, max: 1.3 }, // wrist → ring / pinky fingertip, in palm lengths
+  fingersTogether: { min: null, max: 0.5 }, // index tip → middle tip, in palm lengths
+  atForehead: { min: null, max: 1.2 }, // fingertips → forehead
+  awayFromForehead: { min: 1.5, max: null },
+};
+
+// MediaPipe FaceMesh keypoint in the middle of the forehead
+export const FOREHEAD_KEYPOINT = 151;
+
+// ms the fingers may spend between the forehead and pointing out before the shot is recognized
+const POINTING_TIME = 400;
+
+// Shortest on-screen finger direction (hand sizes) still used to aim
+const MIN_AIM_LENGTH = 0.3;
+
+const palmOf = (points) => distanceBetween(points.wrist, points.middle_finger_mcp);
+
+// Wrist → fingertip distance in palm lengths
+function reach(points, finger) {
+  const palm = palmOf(points);
+  const tip = points[`${finger}_finger_tip`];
+  return palm > 0 && tip ? distanceBetween(points.wrist, tip) / palm : null;
+}
+
+const fingertips = (points) => ({
+  x: (points.index_finger_tip.x + points.middle_finger_tip.x) / 2,
+  y: (points.index_finger_tip.y + points.middle_finger_tip.y) / 2,
+});
+
+// Fingertips → forehead of the nearest face, in hand sizes (null without a face)
+function foreheadDistance({ hand, points, faces, normalize }) {
+  const wrist = hand.keypoints.find((kp) => kp.name === "wrist");
+  let nearest = null;
+  faces.forEach((face) => {
+    const forehead = face.keypoints && face.keypoints[FOREHEAD_KEYPOINT];
+    if (!forehead) return;
+    const distance = Math.hypot(forehead.x - wrist.x, forehead.y - wrist.y);
+    if (!nearest || distance < nearest.distance) nearest = { forehead, distance };
+  });
+  return nearest ? distanceBetween(fingertips(points), normalize(nearest.forehead)) : null;
+}
+
+const twoFingersOut = {
+  name: "twoFingersOut",
+  required: true,
+  unit: "palm",
+  expected: {
+    index: SPECIAL_BEAM_CANNON_RANGES.fingerOut,
+    middle: SPECIAL_BEAM_CANNON_RANGES.fingerOut,
+  },
+  measure: ({ points }) => ({ index: reach(points, "index"), middle: reach(points, "middle") }),
+};
+
+const othersCurled = {
+  name: "othersCurled",
+  unit: "palm",
+  expected: {
+    ring: SPECIAL_BEAM_CANNON_RANGES.fingerCurled,
+    pinky: SPECIAL_BEAM_CANNON_RANGES.fingerCurled,
+  },
+  measure: ({ points }) => ({ ring: reach(points, "ring"), pinky: reach(points, "pinky") }),
+};
+
+const fingersTogether = {
+  name: "fingersTogether",
+  unit: "palm",
+  expected: SPECIAL_BEAM_CANNON_RANGES.fingersTogether,
+  measure: ({ points }) => {
+    const palm = palmOf(points);
+    return palm > 0 ? distanceBetween(points.index_finger_tip, points.middle_finger_tip) / palm : null;
+  },
+};
+
+const requiredKeypoints = ["wrist", "middle_finger_mcp", "index_finger_tip", "middle_finger_tip"];
+
+// Two fingers on the forehead
+const chargingPose = {
+  hands: 1,
+  threshold: 3,
+  requiredKeypoints,
+  criteria: [
+    twoFingersOut,
+    othersCurled,
+    fingersTogether,
+    {
+      name: "atForehead",
+      required: true,
+      unit: HAND_UNIT,
+      expected: SPECIAL_BEAM_CANNON_RANGES.atForehead,
+      evaluate: (context) => {
+        const distance = foreheadDistance(context);
+        if (distance === null) return { passed: false, value: null, reason: "no face detected" };
+        return { passed: distance <= SPECIAL_BEAM_CANNON_RANGES.atForehead.max, value: distance };
+      },
+    },
+  ],
+};
+
+// The same two fingers pointed away from the forehead
+const firingPose = {
+  hands: 1,
+  threshold: 3,
+  requiredKeypoints,
+  criteria: [
+    twoFingersOut,
+    othersCurled,
+    fingersTogether,
+    {
+      // The arm often hides the face once it points at the camera: no face counts as away
+      name: "pointedOut",
+      required: true,
+      unit: HAND_UNIT,
+      expected: SPECIAL_BEAM_CANNON_RANGES.awayFromForehead,
+      evaluate: (context) => {
+        const distance = foreheadDistance(context);
+        return {
+          passed: distance === null || distance >= SPECIAL_BEAM_CANNON_RANGES.awayFromForehead.min,
+          value: distance,
+        };
+      },
+    },
+  ],
+};
+
+// Along the two fingers (index knuckle → fingertips); the previous direction is kept while
+// they point at the camera and look too short on screen to tell
+function aimFingers(detector, hands, engine) {
+  const analysis = engine.poseAnalyses.firing;
+  const hand = analysis && analysis.hand;
+  const point = (name) => hand && hand.keypoints.find((kp) => kp.name === name);
+  const knuckle = point("index_finger_mcp");
+  const indexTip = point("index_finger_tip");
+  const middleTip = point("middle_finger_tip");
+  if (!knuckle || !indexTip || !middleTip) return detector.beamDirection;
+
+  const space = detector.coordinateSpace;
+  const from = space.toView(knuckle);
+  const origin = space.toView({ x: (indexTip.x + middleTip.x) / 2, y: (indexTip.y + middleTip.y) / 2 });
+  const scale = detector.getHandScale(hand);
+  const dx = (origin.x - from.x) / scale;
+  const dy = (origin.y - from.y) / scale;
+  const length = Math.hypot(dx, dy);
+  if (length < MIN_AIM_LENGTH) return detector.beamDirection;
+
+  const vector = { x: dx / length, y: dy / length };
+  return {
+    angle: Math.atan2(dy, dx),
+    vector,
+    vector3D: { ...vector, z: 0 },
+    origin,
+    method: "two-finger",
+  };
+}
+
+const phases = chargedBeamPhases(aimFingers);
+
+export const SPECIAL_BEAM_CANNON_TECHNIQUE = {
+  name: "specialBeamCannon",
+  faceKeypoints: [FOREHEAD_KEYPOINT],
+  poses: { charging: chargingPose, firing: firingPose },
+  ...phases,
+  phases: {
+    ...phases.phases,
+    charging: { ...phases.phases.charging, graceTime: POINTING_TIME },
+  },
+};
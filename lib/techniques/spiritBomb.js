@@ -0,0 +1,179 @@
+// Spirit Bomb (Genki Dama) technique definition for GestureEngine (see lib/gestureEngine.js)
+//
+// Raise both open hands high, fingers spread toward the sky, and hold them there to gather
+// energy into a sphere above the hands. Bringing the hands down and forward throws it: the
+// sphere flies along the throw on its own and explodes where it lands, so the firing phase
+// does not need the hands any more.
+import { HAND_UNIT, angleBetween, distanceBetween } from "../gestureEngine.js";
+import { chargedBeamPhases } from "./chargedBeam.js";
+import { aimAlongMotion, measureHands } from "./handMotion.js";
+import { fingerExtension, fingerSpread } from "./handShape.js";
+
+// Expected ranges for each pose criterion (frame shares, hand sizes, degrees and size ratios)
+export const SPIRIT_BOMB_RANGES = {
+  raised: { min: null, max: 0.45 }, // wrist height, share of the frame from the top
+  fingersExtended: { min: 1.5, max: null }, // wrist → fingertip, in palm lengths
+  fingerSpread: { min: 0.9, max: null }, // index tip → pinky tip, in palm lengths
+  palmsUp: { min: -150, max: -30 }, // wrist → middle fingertip, video axes (-90° = up)
+  handsApart: { min: 2.5, max: 8 }, // between the wrists
+  drop: { min: 1.5, max: null }, // how far the hands came down since charging started
+  forward: { min: 1.05, max: null }, // hand size compared to when charging started
+};
+
+// How long the thrown sphere flies, then how long its explosion lasts (ms)
+export const SPIRIT_BOMB_TIMING = { flightTime: 1000, impactTime: 1500 };
+
+// ms the hands may spend on the way down, out of both poses, before the throw is recognized
+const SWING_TIME = 500;
+
+const bothHands = (range) => ({ left: range, right: range });
+
+// Hand sizes the palms came down since charging started (null before that)
+function dropOf({ left, right, detector, state }) {
+  const current = measureHands(detector, [left, right]);
+  if (!state.reference || !current) return null;
+  return (current.center.y - state.reference.center.y) / state.reference.scale;
+}
+
+const fingersExtended = {
+  name: "fingersExtended",
+  unit: "palm",
+  expected: bothHands(SPIRIT_BOMB_RANGES.fingersExtended),
+  measure: ({ points }) => ({
+    left: fingerExtension(points.left),
+    right: fingerExtension(points.right),
+  }),
+};
+
+const requiredKeypoints = ["wrist", "middle_finger_mcp", "middle_finger_tip"];
+
+// Open hands raised high, apart, fingers spread toward the sky
+const chargingPose = {
+  threshold: 4,
+  requiredKeypoints,
+  criteria: [
+    {
+      // What tells the Spirit Bomb apart from the moves done in front of the chest
+      name: "handsHigh",
+      required: true,
+      unit: "frame",
+      expected: bothHands(SPIRIT_BOMB_RANGES.raised),
+      measure: ({ left, right, detector }) => {
+        const heightOf = (hand) =>
+          hand.keypoints.find((kp) => kp.name === "wrist").y / detector.coordinateSpace.height;
+        return { left: heightOf(left), right: heightOf(right) };
+      },
+    },
+    fingersExtended,
+    {
+      // Palms open to the sky: seen from the camera, the fingers point up from the wrist
+      name: "palmsUp",
+      unit: "deg",
+      expected: bothHands(SPIRIT_BOMB_RANGES.palmsUp),
+      measure: ({ points }) => ({
+        left: angleBetween(points.left.wrist, points.left.middle_finger_tip),
+        right: angleBetween(points.right.wrist, points.right.middle_finger_tip),
+      }),
+    },
+    {
+      name: "fingersSpread",
+      unit: "palm",
+      expected: bothHands(SPIRIT_BOMB_RANGES.fingerSpread),
+      measure: ({ points }) => ({
+        left: fingerSpread(points.left),
+        right: fingerSpread(points.right),
+      }),
+    },
+    {
+      name: "handsApart",
+      unit: HAND_UNIT,
+      expected: SPIRIT_BOMB_RANGES.handsApart,
+      measure: ({ points }) => distanceBetween(points.left.wrist, points.right.wrist),
+    },
+    {
+      // Bringing the hands down is what throws: the charging pose ends where the throw starts
+      name: "holdingUp",
+      required: true,
+      unit: HAND_UNIT,
+      expected: { min: null, max: SPIRIT_BOMB_RANGES.drop.min },
+      evaluate: (context) => {
+        const drop = dropOf(context);
+        return { passed: drop === null || drop < SPIRIT_BOMB_RANGES.drop.min, value: drop };
+      },
+    },
+  ],
+};
+
+// Hands brought down from where they charged, and forward
+const throwPose = {
+  threshold: 2,
+  requiredKeypoints,
+  criteria: [
+    {
+      name: "broughtDown",
+      required: true,
+      unit: HAND_UNIT,
+      expected: SPIRIT_BOMB_RANGES.drop,
+      measure: dropOf,
+    },
+    {
+      name: "forward",
+      unit: "ratio",
+      expected: SPIRIT_BOMB_RANGES.forward,
+      measure: ({ scale, state }) => (state.reference ? scale / state.reference.scale : null),
+    },
+    fingersExtended,
+  ],
+};
+
+// The sphere flies the way the hands were thrown (straight down when they barely moved on
+// screen), toward the camera as much as they came closer
+const aimThrow = (detector, hands, engine) =>
+  aimAlongMotion(detector, engine.state.reference, hands, {
+    fallback: { x: 0, y: 1 },
+    method: "throw",
+  }) || detector.beamDirection;
+
+// Getting into position and charging work like the beams; only the release differs
+const beam = chargedBeamPhases(aimThrow);
+
+export const SPIRIT_BOMB_TECHNIQUE = {
+  name: "spiritBomb",
+  projectile: "sphere",
+  poses: { charging: chargingPose, firing: throwPose },
+  start: beam.start,
+  phases: {
+    positioning: beam.phases.positioning,
+    // The swing down pauses the charge rather than draining it
+    charging: {
+      ...beam.phases.charging,
+      graceTime: (detector) => Math.max(SWING_TIME, detector.options.chargeGraceTime),
+      drainRate: 0,
+    },
+    // The thrown sphere is on its own: no pose keeps it alive, it lands and explodes
+    firing: { maxDuration: SPIRIT_BOMB_TIMING.flightTime + SPIRIT_BOMB_TIMING.impactTime },
+  },
+  onEnter: {
+    positioning: beam.onEnter.positioning,
+    charging: (detector, frame, engine) => {
+      beam.onEnter.charging(detector, frame, engine);
+      // The throw is measured from where the raised hands were when charging started
+      engine.state.reference = measureHands(detector, frame.hands);
+    },
+    firing: (detector, { hands, timestamp }, engine) => {
+      // The charge decides how big the sphere is (chargingProgress), not how long it lasts
+      detector.allowedFiringDuration = SPIRIT_BOMB_TIMING.flightTime + SPIRIT_BOMB_TIMING.impactTime;
+      detector.firingStartTime = timestamp;
+      detector.firingFrameCount = 1;
+      detector.logger.info(`⚡ Charged for ${detector.chargingDuration}ms, sphere thrown`);
+      detector.beamDirection = aimThrow(detector, hands, engine);
+    },
+  },
+  onFrame: {
+    positioning: beam.onFrame.positioning,
+    charging: beam.onFrame.charging,
+    firing: (detector) => {
+      detector.firingFrameCount++;
+    },
+  },
+};
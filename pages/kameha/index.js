@@ -5,6 +5,10 @@ import {
   createDetector,
   SupportedModels,
 } from "@tensorflow-models/hand-pose-detection";
+import {
+  createDetector as createFaceDetector,
+  SupportedModels as FaceModels,
+} from "@tensorflow-models/face-landmarks-detection";
 import "@tensorflow/tfjs-backend-webgl";
 import "@tensorflow/tfjs-backend-cpu";
 import { drawHands } from "../../lib/utils";
@@ -15,11 +19,37 @@ import Image from "next/image";
 import { useAnimationFrame } from "../../lib/hooks/useAnimationFrame";
 import * as tfjsWasm from "@tensorflow/tfjs-backend-wasm";
 import KamehamehaLifeBar from "../../components/KamehamehaLifeBar";
+import { createLogger, parseDebugParam } from "../../lib/logger";
+import { CoordinateSpace } from "../../lib/coordinateSpace";
+import { HandKeypointSmoother } from "../../lib/keypointSmoothing";
+import { HandTracker } from "../../lib/handTracker";
+import {
+  LandmarkSessionRecorder,
+  downloadLandmarkSession,
+} from "../../lib/sessionRecorder";
+import {
+  PoseCoach,
+  drawPoseCoaching,
+  resolveCoachingLocale,
+} from "../../lib/poseCoaching";
+import {
+  PLAYER_STYLES,
+  PlayerAssigner,
+  parsePlayerCount,
+  resolveAssignmentMode,
+} from "../../lib/playerAssignment";
+import { BeamStruggle } from "../../lib/beamStruggle";
+import { ShoutDetector } from "../../lib/shoutDetector";
 
 tfjsWasm.setWasmPaths(
   `https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm`
 );
 
+// Root logger for the page, configured from the ?debug= query param
+// (e.g. ?debug=debug or ?debug=detector:trace,effects:info)
+const logger = createLogger();
+const log = logger.child("page");
+
 async function setupVideo() {
   const video = document.getElementById("video");
   const stream = await window.navigator.mediaDevices.getUserMedia({
@@ -40,7 +70,7 @@ async function setupVideo() {
           if (video.videoWidth > 0 && video.videoHeight > 0) {
             resolve();
           } else {
-            console.warn("Video dimensions still not ready, proceeding anyway");
+            log.info("Video dimensions still not ready, proceeding anyway");
             resolve();
           }
         }, 100);
@@ -54,7 +84,7 @@ async function setupVideo() {
   video.width = video.videoWidth;
   video.height = video.videoHeight;
 
-  console.log(`📹 Video initialized: ${video.videoWidth}x${video.videoHeight}`);
+  log.info(`📹 Video initialized: ${video.videoWidth}x${video.videoHeight}`);
   return video;
 }
 
@@ -68,7 +98,7 @@ async function setupDetector() {
     });
     return detector;
   } catch (error) {
-    console.error("Error creating detector with tfjs runtime:", error);
+    log.error("Error creating detector with tfjs runtime:", error);
     // Fallback to mediapipe with local solution path
     try {
       const detector = await createDetector(SupportedModels.MediaPipeHands, {
@@ -78,7 +108,7 @@ async function setupDetector() {
       });
       return detector;
     } catch (fallbackError) {
-      console.error(
+      log.error(
         "Error creating detector with mediapipe runtime:",
         fallbackError
       );
@@ -87,6 +117,44 @@ async function setupDetector() {
   }
 }
 
+// Face landmarks for the techniques that use the face (Special Beam Cannon, Solar Flare). The
+// other techniques do not need them, so the game goes on without faces if the model fails to
+// load. Loaded the first time a detector needs faces (KamehamehaDetector.needsFaces).
+async function setupFaceDetector() {
+  try {
+    return await createFaceDetector(FaceModels.MediaPipeFaceMesh, {
+      runtime: "tfjs",
+      maxFaces: 2,
+      refineLandmarks: false,
+    });
+  } catch (error) {
+    log.error("Face landmarks unavailable, techniques using the face are disabled:", error);
+    return null;
+  }
+}
+
+// Microphone loudness for the techniques fired by shouting (Solar Flare, ?shout=on). They
+// also fire without a shout, so the game goes on if the microphone is denied.
+async function setupShoutDetector() {
+  try {
+    const shoutDetector = new ShoutDetector();
+    await shoutDetector.start();
+    return shoutDetector;
+  } catch (error) {
+    log.error("Microphone unavailable, shouting is disabled:", error);
+    return null;
+  }
+}
+
+// Full-screen flashes (Solar Flare, Spirit Bomb impact) are dimmer still for players who
+// ask their system for reduced motion
+const REDUCED_MOTION_FLASH_OPACITY = 0.25;
+
+// FaceMesh costs about as much as the hand model: while the players are idle, faces are
+// refreshed at most this often (ms), since a face moves little between frames. A technique
+// using the face that is under way gets them every frame.
+const IDLE_FACE_INTERVAL = 250;
+
 async function setupCanvas(video) {
   // Wait for canvas to be available in DOM
   let canvas = document.getElementById("canvas");
@@ -143,28 +211,97 @@ async function setupCanvas(video) {
   return ctx;
 }
 
+// HUD state of one player, shown in their life bar (one counter per technique)
+function createPlayerHud() {
+  return {
+    gestureState: "idle",
+    gestureData: {},
+    kamehamehaCount: 0,
+    finalFlashCount: 0,
+    spiritBombCount: 0,
+    specialBeamCannonCount: 0,
+    solarFlareCount: 0,
+    kiBlastCount: 0,
+  };
+}
+
+// Shout shown while a technique is firing (gestureData.technique)
+const TECHNIQUE_SHOUTS = {
+  kamehameha: "KAMEHAMEHA!",
+  finalFlash: "FINAL FLASH!",
+  spiritBomb: "GENKI DAMA!",
+  specialBeamCannon: "MAKANKOSAPPO!",
+  solarFlare: "TAIYOKEN!",
+  kiBlast: "HA!",
+};
+
+// HUD counter incremented when a technique fires
+const TECHNIQUE_COUNTERS = {
+  kamehameha: "kamehamehaCount",
+  finalFlash: "finalFlashCount",
+  spiritBomb: "spiritBombCount",
+  specialBeamCannon: "specialBeamCannonCount",
+  solarFlare: "solarFlareCount",
+  kiBlast: "kiBlastCount",
+};
+
 export default function HandPoseDetection() {
   const router = useRouter();
   
   const detectorRef = useRef();
+  const faceDetectorRef = useRef(null); // null until loaded, or when face landmarks are unavailable
+  const faceDetectorRequestedRef = useRef(false); // Loading starts once, when faces are first needed
+  const lastFacesRef = useRef({ faces: [], timestamp: -Infinity }); // Last estimated faces
+  const shoutEnabledRef = useRef(false); // ?shout=on
+  const shoutDetectorRef = useRef(null); // null unless ?shout=on and the microphone is available
   const videoRef = useRef();
-  const kamehamehaDetectorRef = useRef();
-  const kamehamehaEffectsRef = useRef();
+  // One { detector, effects, coach } per player, created once the canvas is ready
+  const playersRef = useRef([]);
   const kamehamehaModeRef = useRef(true); // Always ON
   const chargingAudioRef = useRef();
   const firingAudioRef = useRef();
   const containerRef = useRef();
+  const sessionRecorderRef = useRef();
+  const coachingLocaleRef = useRef(resolveCoachingLocale());
+  const coordinateSpaceRef = useRef(new CoordinateSpace()); // Shared by detector, effects and overlays
+  const handTrackerRef = useRef(new HandTracker()); // Stable hand ids and left/right roles
+  const keypointSmootherRef = useRef(new HandKeypointSmoother()); // null when ?smoothing=off
+  const playerCountRef = useRef(1); // ?players=2 for local multiplayer
+  const playerAssignerRef = useRef(null); // Splits hands between players (multiplayer only)
+  const lastHudDataRef = useRef([]); // Gesture data last pushed to each player's HUD
+  const beamStruggleRef = useRef(null); // Two-player beam struggle, null in single player
+  const struggleWinnerRef = useRef(null);
   const [ctx, setCtx] = useState();
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [gestureState, setGestureState] = useState("idle");
-  const [gestureData, setGestureData] = useState({});
+  const [playerHuds, setPlayerHuds] = useState([createPlayerHud()]);
   const [isKamehamehaMode] = useState(true); // Always ON
   const [hasPlayedFiringAudio, setHasPlayedFiringAudio] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
-  const [kamehamehaCount, setKamehamehaCount] = useState(0);
   const [showWalkthrough, setShowWalkthrough] = useState(false); // Default to false
   const [hasStarted, setHasStarted] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
+  const [isMirrored, setIsMirrored] = useState(true); // Selfie view by default
+  const [struggleWinner, setStruggleWinner] = useState(null); // Player index who won the beam struggle
+
+  // Page-wide state for the canvas glow and the fullscreen banner: the most advanced player wins
+  const gestureState =
+    ["firing", "charging", "positioning"].find((state) =>
+      playerHuds.some((hud) => hud.gestureState === state)
+    ) || "idle";
+  const gestureData = playerHuds[0].gestureData;
+  const firingHud = playerHuds.find((hud) => hud.gestureState === "firing");
+  const firingShout =
+    (firingHud && TECHNIQUE_SHOUTS[firingHud.gestureData.technique]) ||
+    TECHNIQUE_SHOUTS.kamehameha;
+
+  const updatePlayerHud = (playerIndex, update) => {
+    setPlayerHuds((huds) =>
+      huds.map((hud, index) =>
+        index === playerIndex ? { ...hud, ...update(hud) } : hud
+      )
+    );
+  };
 
   useEffect(() => {
     async function initializeVideoAndDetector() {
@@ -175,6 +312,9 @@ export default function HandPoseDetection() {
         // Step 1: Setup video and detector first
         videoRef.current = await setupVideo();
         detectorRef.current = await setupDetector();
+        if (shoutEnabledRef.current) {
+          shoutDetectorRef.current = await setupShoutDetector();
+        }
 
         // Initialize audio elements
         chargingAudioRef.current = new Audio("/charging.m4a");
@@ -187,7 +327,7 @@ export default function HandPoseDetection() {
 
         // Reset firing audio flag when firing sound ends naturally
         firingAudioRef.current.addEventListener("ended", () => {
-          console.log("🎵 Firing audio ended naturally");
+          log.debug("🎵 Firing audio ended naturally");
           // Use a timeout to reset the flag after audio ends
           setTimeout(() => setHasPlayedFiringAudio(false), 100);
         });
@@ -195,7 +335,7 @@ export default function HandPoseDetection() {
         // Set loading to false to render canvas element
         setIsLoading(false);
       } catch (err) {
-        console.error("Error initializing video and detector:", err);
+        log.error("Error initializing video and detector:", err);
         setError(err.message);
         setIsLoading(false);
       }
@@ -210,18 +350,56 @@ export default function HandPoseDetection() {
   // Effect to read URL parameter and set walkthrough state
   useEffect(() => {
     if (router.isReady) {
+      logger.configure(parseDebugParam(router.query.debug));
+      // Coaching hints follow ?lang= (French by default, like the rest of the page)
+      coachingLocaleRef.current = resolveCoachingLocale(router.query.lang);
+
+      // ?mirror=false shows the camera unmirrored; beam directions follow automatically
+      const mirrored = router.query.mirror !== "false" && router.query.mirror !== "0";
+      coordinateSpaceRef.current.setMirrored(mirrored);
+      setIsMirrored(mirrored);
+
+      // ?smoothing=off feeds raw keypoints to the detector, e.g. to compare jitter
+      keypointSmootherRef.current =
+        router.query.smoothing === "off" ? null : new HandKeypointSmoother();
+
+      // ?shout=on listens to the microphone: shouting fires the Solar Flare at once
+      shoutEnabledRef.current = router.query.shout === "on";
+
+      // ?players=2 runs one detector per player; ?assign=cluster groups hands by position
+      // instead of splitting the screen in halves
+      playerCountRef.current = parsePlayerCount(router.query.players);
+      playerAssignerRef.current =
+        playerCountRef.current > 1
+          ? new PlayerAssigner({
+            playerCount: playerCountRef.current,
+            mode: resolveAssignmentMode(router.query.assign),
+            coordinateSpace: coordinateSpaceRef.current,
+          })
+          : null;
+
       const walkthroughParam = router.query.walkthrough;
-      console.log('Reading URL walkthrough param:', walkthroughParam);
+      log.debug('Reading URL walkthrough param:', walkthroughParam);
       const shouldShowWalkthrough = walkthroughParam === 'true';
       setShowWalkthrough(shouldShowWalkthrough);
       
       // Auto-start the game if walkthrough is disabled
       if (!shouldShowWalkthrough) {
-        console.log('Walkthrough disabled, auto-starting game...');
+        log.info('Walkthrough disabled, auto-starting game...');
         setHasStarted(true);
       }
     }
-  }, [router.isReady, router.query.walkthrough]);
+  }, [
+    router.isReady,
+    router.query.walkthrough,
+    router.query.debug,
+    router.query.lang,
+    router.query.mirror,
+    router.query.smoothing,
+    router.query.players,
+    router.query.assign,
+    router.query.shout,
+  ]);
   
   // Second effect: Setup canvas and complete initialization after canvas is rendered
   useEffect(() => {
@@ -230,69 +408,121 @@ export default function HandPoseDetection() {
         try {
           // Now setup canvas since it should be rendered
           const canvasCtx = await setupCanvas(videoRef.current);
-
-          // Initialize Kamehameha detection and effects
-          kamehamehaDetectorRef.current = new KamehamehaDetector();
-          kamehamehaEffectsRef.current = new KamehamehaEffects(
-            document.getElementById("canvas"),
-            canvasCtx
+          coordinateSpaceRef.current.setFrameSize(
+            videoRef.current.videoWidth,
+            videoRef.current.videoHeight
           );
 
-          // Set up gesture state callback
-          kamehamehaDetectorRef.current.onGestureChange = (state, data) => {
-            console.log(`🎮 UI State Update: ${state}`, data);
-            setGestureState(state);
-            setGestureData(data);
+          // Another player is still in this state (multiplayer shares the audio elements)
+          const isAnyPlayerIn = (state) =>
+            playersRef.current.some((player) => player.detector.gestureState === state);
 
-            if (state === "charging") {
-              console.log("🔵 Kamehameha charging...", data.chargingProgress);
-              if (chargingAudioRef.current && chargingAudioRef.current.paused) {
-                chargingAudioRef.current.currentTime = 0;
-                chargingAudioRef.current
-                  .play()
-                  .catch((e) => console.log("Audio play failed:", e));
-              }
-              // Stop firing audio only when starting a new charging cycle
-              if (firingAudioRef.current && !firingAudioRef.current.paused) {
-                firingAudioRef.current.pause();
-                firingAudioRef.current.currentTime = 0;
-              }
-              setHasPlayedFiringAudio(false); // Reset firing audio flag when charging
-            } else if (state === "firing") {
-              console.log("⚡ KAMEHAMEHA! FIRING!");
-              if (chargingAudioRef.current && !chargingAudioRef.current.paused) {
-                chargingAudioRef.current.pause();
-                chargingAudioRef.current.currentTime = 0;
-              }
-              // Play firing sound only once per firing state session
-              if (!hasPlayedFiringAudio) {
-                if (firingAudioRef.current) {
-                  firingAudioRef.current.currentTime = 0;
-                  firingAudioRef.current
+          // HUD of one player: state, gesture data and technique counters
+          const subscribeHud = (detector, playerIndex) => {
+            detector.on("stateChange", ({ to, data }) => {
+              log.info(`🎮 UI State Update (player ${playerIndex + 1}): ${to}`, data);
+              updatePlayerHud(playerIndex, () => ({ gestureState: to, gestureData: data }));
+            });
+            // Increment the player's count for this technique when firing starts
+            detector.on("fired", ({ technique }) => {
+              const counter = TECHNIQUE_COUNTERS[technique] || TECHNIQUE_COUNTERS.kamehameha;
+              updatePlayerHud(playerIndex, (hud) => ({ [counter]: hud[counter] + 1 }));
+            });
+          };
+
+          // Charging and firing sounds of one player
+          const subscribeAudio = (detector) => {
+            detector.on("stateChange", ({ to, data }) => {
+              if (to === "charging") {
+                log.debug("🔵 Kamehameha charging...", data.chargingProgress);
+                if (chargingAudioRef.current && chargingAudioRef.current.paused) {
+                  chargingAudioRef.current.currentTime = 0;
+                  chargingAudioRef.current
                     .play()
-                    .catch((e) => console.log("Audio play failed:", e));
+                    .catch((e) => log.info("Audio play failed:", e));
                 }
-                setHasPlayedFiringAudio(true);
-                // Increment Kamehameha count when firing starts
-                setKamehamehaCount(prev => prev + 1);
+                // Stop firing audio only when starting a new charging cycle
+                if (
+                  firingAudioRef.current &&
+                  !firingAudioRef.current.paused &&
+                  !isAnyPlayerIn("firing")
+                ) {
+                  firingAudioRef.current.pause();
+                  firingAudioRef.current.currentTime = 0;
+                }
+                setHasPlayedFiringAudio(false); // Reset firing audio flag when charging
+                return;
               }
-            } else {
-              // Stop charging sound when returning to idle/positioning
-              if (chargingAudioRef.current && !chargingAudioRef.current.paused) {
+              // Stop charging sound when firing or returning to idle/positioning
+              if (
+                chargingAudioRef.current &&
+                !chargingAudioRef.current.paused &&
+                !isAnyPlayerIn("charging")
+              ) {
                 chargingAudioRef.current.pause();
                 chargingAudioRef.current.currentTime = 0;
               }
               // Don't stop firing audio - let it play completely
-              // Only reset the flag when no hands are detected (complete reset)
-              if (state === "idle") {
+              if (to === "idle") {
                 setHasPlayedFiringAudio(false); // Reset firing audio flag only when returning to idle
               }
-            }
+            });
+            // Once per firing: "fired" is emitted when firing starts
+            detector.on("fired", ({ technique }) => {
+              log.info(`⚡ ${TECHNIQUE_SHOUTS[technique] || TECHNIQUE_SHOUTS.kamehameha} FIRING!`);
+              if (firingAudioRef.current) {
+                firingAudioRef.current.currentTime = 0;
+                firingAudioRef.current
+                  .play()
+                  .catch((e) => log.info("Audio play failed:", e));
+              }
+              setHasPlayedFiringAudio(true);
+            });
           };
 
+          // Initialize Kamehameha detection and effects, one of each per player
+          // Difficulty preset is chosen per deployment (casual, strict, kids)
+          const playerCount = playerCountRef.current;
+          const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+          playersRef.current = Array.from({ length: playerCount }, (_, index) => {
+            const namespace = playerCount > 1 ? `p${index + 1}` : null;
+            const childLogger = (name) =>
+              namespace ? logger.child(name).child(namespace) : logger.child(name);
+
+            const detector = new KamehamehaDetector(
+              { preset: process.env.NEXT_PUBLIC_DETECTOR_PRESET },
+              {
+                clock: () => performance.now(),
+                logger: childLogger("detector"),
+                coordinateSpace: coordinateSpaceRef.current,
+              }
+            );
+            subscribeHud(detector, index);
+            subscribeAudio(detector);
+
+            const effects = new KamehamehaEffects(
+              document.getElementById("canvas"),
+              canvasCtx,
+              {
+                logger: childLogger("effects"),
+                coordinateSpace: coordinateSpaceRef.current,
+                hueShift: playerCount > 1 ? PLAYER_STYLES[index].hueShift : 0,
+                maxFlashOpacity: reducedMotion ? REDUCED_MOTION_FLASH_OPACITY : undefined,
+              }
+            );
+
+            return { detector, effects, coach: new PoseCoach() };
+          });
+          lastHudDataRef.current = [];
+          setPlayerHuds(Array.from({ length: playerCount }, createPlayerHud));
+          beamStruggleRef.current =
+            playerCount === 2
+              ? new BeamStruggle({ coordinateSpace: coordinateSpaceRef.current })
+              : null;
+
           setCtx(canvasCtx);
         } catch (err) {
-          console.error("Error setting up canvas and effects:", err);
+          log.error("Error setting up canvas and effects:", err);
           setError(err.message);
         }
       }
@@ -312,6 +542,9 @@ export default function HandPoseDetection() {
         firingAudioRef.current.pause();
         firingAudioRef.current.currentTime = 0;
       }
+      if (shoutDetectorRef.current) {
+        shoutDetectorRef.current.stop();
+      }
     };
   }, []);
 
@@ -321,7 +554,7 @@ export default function HandPoseDetection() {
       // Enter fullscreen
       if (containerRef.current.requestFullscreen) {
         containerRef.current.requestFullscreen().catch(err => {
-          console.log(`Error attempting to enable fullscreen: ${err.message}`);
+          log.error(`Error attempting to enable fullscreen: ${err.message}`);
         });
       } else if (containerRef.current.webkitRequestFullscreen) { // Safari
         containerRef.current.webkitRequestFullscreen();
@@ -340,6 +573,77 @@ export default function HandPoseDetection() {
     }
   };
 
+  // Face landmarks for this frame, for the players' techniques that use the face (none
+  // while no detector needs them, see IDLE_FACE_INTERVAL)
+  const estimateFaces = async (timestamp) => {
+    const detectors = playersRef.current
+      .map((player) => player.detector)
+      .filter((detector) => detector.needsFaces());
+    if (detectors.length === 0) return [];
+
+    if (!faceDetectorRequestedRef.current) {
+      faceDetectorRequestedRef.current = true;
+      // Not awaited: the game goes on without faces while the model loads
+      setupFaceDetector().then((faceDetector) => {
+        faceDetectorRef.current = faceDetector;
+      });
+    }
+    if (!faceDetectorRef.current) return [];
+
+    const underWay = detectors.some((detector) => detector.gestureState !== "idle");
+    if (!underWay && timestamp - lastFacesRef.current.timestamp < IDLE_FACE_INTERVAL) {
+      return lastFacesRef.current.faces;
+    }
+    const faces = await faceDetectorRef.current.estimateFaces(videoRef.current, {
+      flipHorizontal: false,
+    });
+    lastFacesRef.current = { faces, timestamp };
+    return faces;
+  };
+
+  // Stop a running recording and download it as a replayable landmark sequence
+  const finishRecording = () => {
+    const recorder = sessionRecorderRef.current;
+    sessionRecorderRef.current = null;
+    setIsRecording(false);
+    if (!recorder) return;
+
+    const sequence = recorder.stop();
+    if (sequence.frames.length === 0) {
+      log.info("⏺️ Recording stopped without any frames, nothing to download");
+      return;
+    }
+    log.info(`⏺️ Recording stopped: ${sequence.frames.length} frames`);
+    downloadLandmarkSession(sequence);
+  };
+
+  // Function to toggle session recording
+  const toggleRecording = () => {
+    if (sessionRecorderRef.current) {
+      finishRecording();
+      return;
+    }
+
+    const video = videoRef.current;
+    const recorder = new LandmarkSessionRecorder({
+      videoWidth: video ? video.videoWidth : 0,
+      videoHeight: video ? video.videoHeight : 0,
+      detectorOptions: playersRef.current.length > 0
+        ? playersRef.current[0].detector.options
+        : null,
+      smoothing: keypointSmootherRef.current
+        ? keypointSmootherRef.current.options
+        : null,
+      faceKeypoints: playersRef.current.length > 0
+        ? playersRef.current[0].detector.getFaceKeypoints()
+        : [],
+    });
+    recorder.start(performance.now());
+    sessionRecorderRef.current = recorder;
+    setIsRecording(true);
+    log.info("⏺️ Recording started");
+  };
+
   // Handle window resize to adjust canvas dimensions in fullscreen mode
   useEffect(() => {
     const handleResize = () => {
@@ -424,12 +728,23 @@ export default function HandPoseDetection() {
         // Save canvas state at the beginning of each frame
         ctx.save();
 
-        const hands = await detectorRef.current.estimateHands(
+        // Capture time of this video frame, used by the detector's state machine
+        const frameTimestamp = performance.now();
+        const rawHands = await detectorRef.current.estimateHands(
           videoRef.current,
           {
             flipHorizontal: false,
           }
         );
+        const faces = await estimateFaces(frameTimestamp);
+        const shouting = shoutDetectorRef.current
+          ? shoutDetectorRef.current.isShouting(frameTimestamp)
+          : false;
+        // Tracked (stable ids and roles) and smoothed keypoints drive both the detector and the effects
+        const trackedHands = handTrackerRef.current.update(rawHands, frameTimestamp);
+        const hands = keypointSmootherRef.current
+          ? keypointSmootherRef.current.smooth(trackedHands, frameTimestamp)
+          : trackedHands;
 
         // Clear canvas and reset to default state
         ctx.clearRect(
@@ -465,31 +780,30 @@ export default function HandPoseDetection() {
         // Debug the mode state - log every 30 frames to avoid spam
         if (Math.random() < 0.03) {
           // ~1% of frames
-          console.log(
+          log.trace(
             `🐛 MODE CHECK: isKamehamehaMode=${isKamehamehaMode}, ref=${
               kamehamehaModeRef.current
-            }, detector=${!!kamehamehaDetectorRef.current}, effects=${!!kamehamehaEffectsRef.current}`
+            }, players=${playersRef.current.length}`
           );
         }
 
         // Kamehameha detection and effects - use ref for current mode to avoid closure issues
         const currentKamehamehaMode = true; // Always ON
-        const hasDetector = !!kamehamehaDetectorRef.current;
-        const hasEffects = !!kamehamehaEffectsRef.current;
+        const players = playersRef.current;
 
-        if (currentKamehamehaMode && hasDetector && hasEffects) {
-          console.log(
+        if (currentKamehamehaMode && players.length > 0) {
+          log.trace(
             `🔥 KAMEHAMEHA MODE ACTIVE - Processing ${
               hands ? hands.length : 0
             } hands`
           );
 
           // Log individual hand details
-          if (hands && hands.length > 0) {
+          if (hands && hands.length > 0 && log.isEnabled("trace")) {
             hands.forEach((hand, index) => {
               const wrist = hand.keypoints.find((kp) => kp.name === "wrist");
               const confidence = hand.score || "unknown";
-              console.log(
+              log.trace(
                 `✋ Hand ${index + 1}: score=${confidence}, wrist=${
                   wrist
                     ? `(${wrist.x.toFixed(1)}, ${wrist.y.toFixed(1)})`
@@ -499,74 +813,191 @@ export default function HandPoseDetection() {
             });
           }
 
-          const currentGestureData =
-            kamehamehaDetectorRef.current.detectGesture(hands);
+          // Multiplayer: each player's detector only sees their own hands. A player in the
+          // middle of a gesture keeps their hands even if they cross to the other side.
+          const handsByPlayer =
+            players.length > 1 && playerAssignerRef.current
+              ? playerAssignerRef.current.assign(
+                hands,
+                players.map((player) => player.detector.gestureState !== "idle")
+              )
+              : [hands];
 
-          // Render effects with isolated canvas state
-          ctx.save();
-          try {
-            kamehamehaEffectsRef.current.render(
-              currentGestureData.state,
-              currentGestureData,
-              hands
-            );
-          } finally {
-            ctx.restore();
-          }
+          // Detect for every player first: the beam struggle needs both players' beams
+          const playerGestureData = players.map((player, playerIndex) =>
+            player.detector.detectGesture(
+              handsByPlayer[playerIndex] || [],
+              frameTimestamp,
+              // Each player's technique picks the face nearest their hands; the microphone is shared
+              { faces, shouting }
+            )
+          );
 
-          // Update React state with current gesture data to ensure UI shows real-time progress
-          // Only update if state or progress has changed to avoid unnecessary re-renders
-          if (
-            currentGestureData.state !== gestureState ||
-            (currentGestureData.state === "charging" &&
-              Math.abs(
-                currentGestureData.chargingProgress -
-                  (gestureData.chargingProgress || 0)
-              ) > 0.01) ||
-            (currentGestureData.state === "firing" &&
-              Math.abs(
-                currentGestureData.firingProgress -
-                  (gestureData.firingProgress || 0)
-              ) > 0.01)
-          ) {
-            setGestureState(currentGestureData.state);
-            setGestureData(currentGestureData);
-          }
+          // Two players firing at each other: the beams clash and push (see lib/beamStruggle.js)
+          const struggle = beamStruggleRef.current
+            ? beamStruggleRef.current.update(
+              players.map((player, playerIndex) => {
+                const data = playerGestureData[playerIndex];
+                return {
+                  gestureData: data,
+                  beamLength:
+                    data.state === "firing"
+                      ? player.effects.getBeamLength(data.firingFrameCount)
+                      : 0,
+                };
+              }),
+              frameTimestamp
+            )
+            : null;
+
+          players.forEach((player, playerIndex) => {
+            const playerHands = handsByPlayer[playerIndex] || [];
+            const isMultiplayer = players.length > 1;
+            const currentGestureData = playerGestureData[playerIndex];
 
-          // Draw minimal hand landmarks during Kamehameha mode
-          if (hands && hands.length > 0) {
-            console.log(
-              `👐 Drawing ${hands.length} hands with state: ${currentGestureData.state}`
+            // Capture the raw landmarks and the detector's decision for this frame
+            // (recording is single-player only: replays run one detector)
+            if (
+              !isMultiplayer &&
+              sessionRecorderRef.current &&
+              !sessionRecorderRef.current.recordFrame(
+                frameTimestamp,
+                rawHands, // Unsmoothed, so replays can try other smoothing settings
+                currentGestureData,
+                faces
+              )
+            ) {
+              finishRecording(); // Maximum recording length reached
+            }
+
+            // Render effects with isolated canvas state
+            ctx.save();
+            try {
+              player.effects.render(
+                currentGestureData.state,
+                currentGestureData,
+                playerHands,
+                struggle ? struggle.beams[playerIndex] : undefined
+              );
+            } finally {
+              ctx.restore();
+            }
+
+            // Coaching hint and guide markers while the user is still looking for the charging pose
+            const coaching = player.coach.update(
+              currentGestureData,
+              playerHands,
+              frameTimestamp
             );
-            hands.forEach((hand, index) => {
-              const wrist = hand.keypoints.find((kp) => kp.name === "wrist");
-              if (wrist && wrist.score > 0.5) {
-                console.log(
-                  `✋ Hand ${index + 1} wrist at (${wrist.x.toFixed(
-                    1
-                  )}, ${wrist.y.toFixed(
-                    1
-                  )}) - confidence: ${wrist.score.toFixed(2)}`
-                );
-                ctx.save();
-                ctx.fillStyle =
-                  currentGestureData.state === "charging"
-                    ? "#00ff00"
-                    : currentGestureData.state === "firing"
-                    ? "#ff0000"
-                    : "#ffffff";
-                ctx.beginPath();
-                ctx.arc(wrist.x, wrist.y, 8, 0, Math.PI * 2);
-                ctx.fill();
+            if (coaching) {
+              const coordinateSpace = coordinateSpaceRef.current;
+              ctx.save();
+              try {
+                drawPoseCoaching(ctx, coaching, {
+                  locale: coachingLocaleRef.current,
+                  width: videoRef.current.videoWidth,
+                  mirrored: coordinateSpace.mirrored,
+                  // Over the player's side of the screen in multiplayer
+                  x: isMultiplayer
+                    ? coordinateSpace.fromView({
+                      x: ((playerIndex + 0.5) / players.length) * coordinateSpace.width,
+                      y: 0,
+                    }).x
+                    : undefined,
+                });
+              } finally {
                 ctx.restore();
               }
-            });
+            }
+
+            // Update React state with current gesture data to ensure UI shows real-time progress
+            // Only update if state or progress has changed to avoid unnecessary re-renders
+            const lastHudData = lastHudDataRef.current[playerIndex] || {};
+            if (
+              currentGestureData.state !== lastHudData.state ||
+              currentGestureData.chargeDraining !== lastHudData.chargeDraining ||
+              (currentGestureData.state === "charging" &&
+                Math.abs(
+                  currentGestureData.chargingProgress -
+                    (lastHudData.chargingProgress || 0)
+                ) > 0.01) ||
+              (currentGestureData.state === "firing" &&
+                Math.abs(
+                  currentGestureData.firingProgress -
+                    (lastHudData.firingProgress || 0)
+                ) > 0.01)
+            ) {
+              lastHudDataRef.current[playerIndex] = currentGestureData;
+              updatePlayerHud(playerIndex, () => ({
+                gestureState: currentGestureData.state,
+                gestureData: currentGestureData,
+              }));
+            }
+
+            // Draw minimal hand landmarks during Kamehameha mode
+            if (playerHands.length > 0) {
+              log.trace(
+                `👐 Drawing ${playerHands.length} hands with state: ${currentGestureData.state}`
+              );
+              playerHands.forEach((hand, index) => {
+                const wrist = hand.keypoints.find((kp) => kp.name === "wrist");
+                if (wrist && wrist.score > 0.5) {
+                  if (log.isEnabled("trace")) {
+                    log.trace(
+                      `✋ Hand ${index + 1} wrist at (${wrist.x.toFixed(
+                        1
+                      )}, ${wrist.y.toFixed(
+                        1
+                      )}) - confidence: ${wrist.score.toFixed(2)}`
+                    );
+                  }
+                  ctx.save();
+                  ctx.fillStyle =
+                    currentGestureData.state === "charging"
+                      ? "#00ff00"
+                      : currentGestureData.state === "firing"
+                      ? "#ff0000"
+                      : "#ffffff";
+                  ctx.beginPath();
+                  ctx.arc(wrist.x, wrist.y, 8, 0, Math.PI * 2);
+                  ctx.fill();
+                  // Player color ring so everyone can see whose hand is whose
+                  if (isMultiplayer) {
+                    ctx.strokeStyle = PLAYER_STYLES[playerIndex].color;
+                    ctx.lineWidth = 3;
+                    ctx.stroke();
+                  }
+                  ctx.restore();
+                }
+              });
+            }
+          });
+
+          if (struggle) {
+            // Clash point on top of both beams
+            if (struggle.clashPoint) {
+              players[0].effects.drawBeamClash(
+                struggle.clashPoint.x,
+                struggle.clashPoint.y,
+                struggle.clashAngle,
+                playerGestureData[0].firingFrameCount,
+                struggle.position
+              );
+            }
+            const winner = struggle.state === "resolved" ? struggle.winner : null;
+            if (winner !== struggleWinnerRef.current) {
+              struggleWinnerRef.current = winner;
+              setStruggleWinner(winner);
+              if (winner !== null) {
+                log.info(`⚔️ Beam struggle won by player ${winner + 1}`);
+              }
+            }
           }
         } else {
           // Normal mode - just log occasionally
           if (Math.random() < 0.1) {
             // Log 10% of frames to avoid spam
-            console.log(
+            log.trace(
               `👐 Normal Mode - Detected ${hands ? hands.length : 0} hands`
             );
           }
@@ -578,7 +1009,7 @@ export default function HandPoseDetection() {
         // Always restore canvas state at the end of each frame
         ctx.restore();
       } catch (error) {
-        console.error("Error during hand pose detection:", error);
+        log.error("Error during hand pose detection:", error);
         // Ensure canvas state is restored even if there's an error
         ctx.restore();
       }
@@ -615,7 +1046,7 @@ export default function HandPoseDetection() {
   };
 
   const handleStart = () => {
-    console.log('handleStart called, showWalkthrough:', showWalkthrough);
+    log.debug('handleStart called, showWalkthrough:', showWalkthrough);
     setHasStarted(true);
   };
 
@@ -747,6 +1178,54 @@ export default function HandPoseDetection() {
         </div>
       </div>
 
+      {/* Session recording toggle button (single player only) */}
+      {playerHuds.length === 1 && (
+        <div style={{
+          position: "fixed",
+          top: "20px",
+          right: "80px",
+          zIndex: 100,
+          cursor: "pointer",
+          opacity: isFullscreen && !isRecording ? 0.6 : 1,
+          transition: "opacity 0.3s ease",
+        }}
+        onMouseOver={e => isFullscreen && (e.currentTarget.style.opacity = "1")}
+        onMouseOut={e => isFullscreen && !isRecording && (e.currentTarget.style.opacity = "0.6")}
+        >
+          <div
+            onClick={toggleRecording}
+            title={isRecording ? "Arrêter et télécharger l'enregistrement" : "Enregistrer la session"}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              background: isRecording ? "rgba(220, 38, 38, 0.9)" : "rgba(0, 0, 0, 0.7)",
+              padding: "10px",
+              borderRadius: "50%",
+              boxShadow: "0 4px 10px rgba(0, 0, 0, 0.3)",
+              transition: "transform 0.2s, background 0.2s",
+            }}
+            onMouseOver={(e) => {
+              e.currentTarget.style.transform = "scale(1.1)";
+              e.currentTarget.style.background = "rgba(248, 91, 26, 0.9)"; // Orange DBZ color
+            }}
+            onMouseOut={(e) => {
+              e.currentTarget.style.transform = "scale(1)";
+              e.currentTarget.style.background = isRecording ? "rgba(220, 38, 38, 0.9)" : "rgba(0, 0, 0, 0.7)";
+            }}
+          >
+            {/* SVG icon: record dot, or stop square while recording */}
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              {isRecording ? (
+                <rect x="6" y="6" width="12" height="12" rx="2" fill="white"/>
+              ) : (
+                <circle cx="12" cy="12" r="7" fill="#ef4444" stroke="white" strokeWidth="2"/>
+              )}
+            </svg>
+          </div>
+        </div>
+      )}
+
       <main className={styles.main} style={isFullscreen ? { 
         height: '100vh', 
         width: '100vw',
@@ -962,18 +1441,35 @@ export default function HandPoseDetection() {
               width: 'fit-content',
               height: 'fit-content'
             }}>
-              {/* Kamehameha Life Bar - positioned relative to canvas */}
-              <KamehamehaLifeBar 
-                gestureState={gestureState}
-                chargingProgress={gestureData.chargingProgress || 0}
-                firingProgress={gestureData.firingProgress || 0}
-                kamehamehaCount={kamehamehaCount}
-                isFullscreen={isFullscreen}
-              />
+              {/* Kamehameha Life Bars - positioned relative to canvas, one per player */}
+              {playerHuds.map((hud, index) => {
+                const isMultiplayer = playerHuds.length > 1;
+                return (
+                  <KamehamehaLifeBar
+                    key={index}
+                    gestureState={hud.gestureState}
+                    chargingProgress={hud.gestureData.chargingProgress || 0}
+                    draining={!!hud.gestureData.chargeDraining}
+                    firingProgress={hud.gestureData.firingProgress || 0}
+                    kamehamehaCount={hud.kamehamehaCount}
+                    finalFlashCount={hud.finalFlashCount}
+                    spiritBombCount={hud.spiritBombCount}
+                    specialBeamCannonCount={hud.specialBeamCannonCount}
+                    solarFlareCount={hud.solarFlareCount}
+                    kiBlastCount={hud.kiBlastCount}
+                    isFullscreen={isFullscreen}
+                    anchor={`${((index + 0.5) / playerHuds.length) * 100}%`}
+                    accentColor={isMultiplayer ? PLAYER_STYLES[index].color : undefined}
+                    label={isMultiplayer ? PLAYER_STYLES[index].label : null}
+                  />
+                );
+              })}
               
               <canvas
               style={{
-                transform: isFullscreen ? "translate(-50%, -50%) scaleX(-1)" : "scaleX(-1)", // Center using transform
+                transform: isFullscreen
+                  ? `translate(-50%, -50%)${isMirrored ? " scaleX(-1)" : ""}`
+                  : isMirrored ? "scaleX(-1)" : "none", // Center using transform
                 zIndex: 1,
                 borderRadius: isFullscreen ? "0" : "1rem",
                 boxShadow:
@@ -997,6 +1493,27 @@ export default function HandPoseDetection() {
               }}
               id="canvas"
             ></canvas>
+
+              {/* Beam struggle result (two-player mode) */}
+              {struggleWinner !== null && (
+                <div style={{
+                  position: isFullscreen ? "fixed" : "absolute",
+                  top: "20%",
+                  left: "50%",
+                  transform: "translateX(-50%)",
+                  zIndex: 60,
+                  pointerEvents: "none",
+                  color: PLAYER_STYLES[struggleWinner].color,
+                  textShadow: '3px 3px 0 #000, -1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000',
+                  fontSize: isFullscreen ? "3rem" : "2rem",
+                  fontWeight: "bold",
+                  letterSpacing: "2px",
+                  textTransform: "uppercase",
+                  whiteSpace: "nowrap",
+                }}>
+                  {PLAYER_STYLES[struggleWinner].label} gagne le duel !
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -1021,7 +1538,7 @@ export default function HandPoseDetection() {
               fontWeight: 'bold',
               animation: 'pulse 0.5s infinite alternate'
             }}>
-              KAMEHAMEHA!
+              {firingShout}
             </div>
             <style jsx>{`
               @keyframes pulse {
@@ -0,0 +1,93 @@
+// Check that detector options are resolved and rejected as documented in
+// lib/detectorOptions.js: presets merge over the defaults, and unknown presets, unknown
+// options, mistyped or out-of-range values and inconsistent pairs throw a clear error.
+//
+// Usage:
+//   node scripts/checkDetectorOptions.mjs
+//
+// Run by `npm run replay` before the landmark fixtures; the exit code is 1 on any failure.
+import assert from "node:assert/strict";
+import {
+  DEFAULT_DETECTOR_OPTIONS,
+  DETECTOR_PRESETS,
+  resolveDetectorOptions,
+} from "../lib/detectorOptions.js";
+import { KamehamehaDetector } from "../lib/kamehamehaDetection.js";
+import { silentLogger } from "../lib/logger.js";
+
+const checks = [
+  ["defaults are valid", () => {
+    assert.deepEqual(resolveDetectorOptions(), DEFAULT_DETECTOR_OPTIONS);
+  }],
+  ["every preset is valid", () => {
+    Object.keys(DETECTOR_PRESETS).forEach((preset) => {
+      assert.equal(resolveDetectorOptions(preset).positioningHoldTime, DETECTOR_PRESETS[preset].positioningHoldTime);
+    });
+  }],
+  ["overrides apply over a preset", () => {
+    const options = resolveDetectorOptions({ preset: "kids", maxChargingTime: 8000 });
+    assert.equal(options.maxChargingTime, 8000);
+    assert.equal(options.minimumChargingTime, DETECTOR_PRESETS.kids.minimumChargingTime);
+  }],
+  ["the detector takes the resolved options", () => {
+    const detector = new KamehamehaDetector({ preset: "strict" }, { logger: silentLogger });
+    assert.equal(detector.options.chargingScoreThreshold, DETECTOR_PRESETS.strict.chargingScoreThreshold);
+  }],
+  ["unknown preset", () => {
+    assert.throws(() => resolveDetectorOptions({ preset: "expert" }), /Unknown detector preset "expert" \(expected one of: casual, strict, kids\)/);
+  }],
+  ["unknown option", () => {
+    assert.throws(() => resolveDetectorOptions({ chargeTime: 1000 }), /Unknown detector option "chargeTime"/);
+  }],
+  ["options that are not an object", () => {
+    assert.throws(() => resolveDetectorOptions([]), TypeError);
+    assert.throws(() => resolveDetectorOptions(null), TypeError);
+  }],
+  ["mistyped value", () => {
+    assert.throws(() => resolveDetectorOptions({ maxChargingTime: "20000" }), {
+      name: "TypeError",
+      message: 'Detector option "maxChargingTime" must be a finite number (got 20000)',
+    });
+    assert.throws(() => resolveDetectorOptions({ firingGraceTime: NaN }), TypeError);
+  }],
+  ["value below its range", () => {
+    assert.throws(() => resolveDetectorOptions({ chargeDrainRate: -1 }), {
+      name: "RangeError",
+      message: 'Detector option "chargeDrainRate" must be between 0 and 20 (got -1)',
+    });
+  }],
+  ["value above its range", () => {
+    assert.throws(() => resolveDetectorOptions({ chargingScoreThreshold: 7 }), /"chargingScoreThreshold" must be between 1 and 6 \(got 7\)/);
+  }],
+  ["non-integer score threshold", () => {
+    assert.throws(() => resolveDetectorOptions({ firingScoreThreshold: 2.5 }), /"firingScoreThreshold" must be an integer \(got 2.5\)/);
+  }],
+  ["minimum charge above the full charge", () => {
+    assert.throws(() => resolveDetectorOptions({ minimumChargingTime: 30000 }), /"minimumChargingTime" \(30000\) cannot exceed "maxChargingTime" \(20000\)/);
+  }],
+  ["shortest beam above the full-charge beam", () => {
+    assert.throws(() => resolveDetectorOptions({ minFiringDuration: 5000 }), /"minFiringDuration" \(5000\) cannot exceed "maxFiringDuration" \(4000\)/);
+  }],
+  ["full-charge beam above the firing cap", () => {
+    assert.throws(() => resolveDetectorOptions({ maxFiringDuration: 15000 }), /"maxFiringDuration" \(15000\) cannot exceed "maxFiringTime" \(4000\)/);
+  }],
+  ["the detector rejects invalid options", () => {
+    assert.throws(() => new KamehamehaDetector({ preset: "expert" }, { logger: silentLogger }), /Unknown detector preset/);
+  }],
+];
+
+let failures = 0;
+checks.forEach(([name, check]) => {
+  try {
+    check();
+  } catch (error) {
+    failures++;
+    console.error(`✗ detector options: ${name}: ${error.message}`);
+  }
+});
+
+if (failures > 0) {
+  console.error(`${failures} detector option check(s) failed`);
+  process.exit(1);
+}
+console.log(`✓ detector options (${checks.length} checks)`);
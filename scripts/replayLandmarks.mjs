@@ -0,0 +1,159 @@
+// Replay recorded hand-landmark sequences through KamehamehaDetector without a camera.
+//
+// Usage:
+//   node scripts/replayLandmarks.mjs [--verbose] [--update] [--preset <name>] [file-or-directory ...]
+//
+// Defaults to every fixture in fixtures/landmarks. Each sequence's state transitions are
+// printed and compared with its "expected" block; the exit code is 1 on any mismatch.
+// --update rewrites the "expected" block from the current detector behaviour instead (aim
+// checkpoints are kept, with their angles refreshed).
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  checkReplayExpectations,
+  measureAim,
+  replayLandmarkSequence,
+} from "../lib/landmarkReplay.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const defaultFixtureDir = path.join(rootDir, "fixtures", "landmarks");
+
+function parseArgs(argv) {
+  const args = { verbose: false, update: false, preset: undefined, paths: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--verbose" || arg === "-v") {
+      args.verbose = true;
+    } else if (arg === "--update") {
+      args.update = true;
+    } else if (arg === "--preset") {
+      args.preset = argv[++i];
+    } else {
+      args.paths.push(arg);
+    }
+  }
+  if (args.paths.length === 0) args.paths.push(defaultFixtureDir);
+  return args;
+}
+
+function collectFiles(paths) {
+  return paths.flatMap((entry) => {
+    const resolved = path.resolve(entry);
+    if (fs.statSync(resolved).isDirectory()) {
+      return fs
+        .readdirSync(resolved)
+        .filter((name) => name.endsWith(".json"))
+        .sort()
+        .map((name) => path.join(resolved, name));
+    }
+    return [resolved];
+  });
+}
+
+// JSON with one keypoint or frame range per line, matching the committed fixtures
+function formatSequence(sequence) {
+  return (
+    JSON.stringify(sequence, null, 2)
+      .replace(
+        /\{\n\s+"x": ([^,]+),\n\s+"y": ([^,]+),(?:\n\s+"z": ([^,]+),)?\n\s+"name": ("[^"]+")\n\s+\}/g,
+        (match, x, y, z, name) => `{ "x": ${x}, "y": ${y}, ${z !== undefined ? `"z": ${z}, ` : ""}"name": ${name} }`
+      )
+      .replace(
+        /\{\n\s+"index": (\d+),\n\s+"x": ([^,]+),\n\s+"y": ([^,\n]+)\n\s+\}/g,
+        '{ "index": $1, "x": $2, "y": $3 }'
+      )
+      .replace(
+        /\{\n\s+"from": (\d+),\n\s+"to": (\d+),\n\s+"step": (\d+),\n\s+"pose": ("[^"]+")(?:,\n\s+"faces": ("[^"]+"))?\n\s+\}/g,
+        (match, from, to, step, pose, faces) =>
+          `{ "from": ${from}, "to": ${to}, "step": ${step}, "pose": ${pose}${faces ? `, "faces": ${faces}` : ""} }`
+      )
+      .replace(/\{\n\s+"t": (\d+),\n\s+"pose": ("[^"]+")\n\s+\}/g, '{ "t": $1, "pose": $2 }')
+      .replace(
+        /\{\n\s+"t": (\d+),((?:\n\s+"(?:preview|beam)": [^,\n]+,?)+)\n\s+\}/g,
+        (match, t, angles) => `{ "t": ${t}, ${angles.trim().split(/,?\n\s+/).join(", ")} }`
+      )
+      .replace(
+        /\{\n\s+"from": ("[^"]+"),\n\s+"to": ("[^"]+"),\n\s+"t": (\d+)\n\s+\}/g,
+        '{ "from": $1, "to": $2, "t": $3 }'
+      )
+      .replace(
+        /"(states|techniques)": \[\n\s+([^\]]+?)\n\s+\]/g,
+        (match, key, values) => `"${key}": [${values.split(/,\n\s+/).join(", ")}]`
+      ) + "\n"
+  );
+}
+
+// "  pose=4/6 (failed: fingerSpread, energyFunnel)" for a pose breakdown from getGestureData
+function describePose(label, analysis) {
+  if (!analysis) return "";
+  const failed = analysis.criteria
+    .filter((criterion) => !criterion.passed)
+    .map((criterion) => criterion.name);
+  const suffix = failed.length > 0 ? ` (failed: ${failed.join(", ")})` : "";
+  return `  ${label}=${analysis.score}/${analysis.maxScore}${suffix}`;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const detectorOptions = args.preset ? { preset: args.preset } : {};
+let failures = 0;
+
+collectFiles(args.paths).forEach((file) => {
+  const label = path.relative(process.cwd(), file);
+  let result;
+  let mismatches;
+  try {
+    const sequence = JSON.parse(fs.readFileSync(file, "utf8"));
+    result = replayLandmarkSequence(sequence, { detectorOptions });
+    if (args.update && !args.preset) {
+      const aim = sequence.expected && sequence.expected.aim;
+      sequence.expected = {
+        states: result.states,
+        transitions: result.transitions,
+        techniques: result.techniques,
+        aim: aim && aim.map((checkpoint) => {
+          const actual = measureAim(result, checkpoint.t);
+          const refreshed = { t: checkpoint.t };
+          ["preview", "beam"].forEach((key) => {
+            if (checkpoint[key] !== undefined) refreshed[key] = actual[key];
+          });
+          return refreshed;
+        }),
+        finalState: result.finalState,
+      };
+      fs.writeFileSync(file, formatSequence(sequence));
+    }
+    // Expectations describe the default detector, so skip them when a preset is forced
+    mismatches = args.preset ? [] : checkReplayExpectations(result, sequence.expected);
+  } catch (error) {
+    failures++;
+    console.error(`✗ ${label}: ${error.message}`);
+    return;
+  }
+
+  if (mismatches.length > 0) failures++;
+  console.log(
+    `${mismatches.length > 0 ? "✗" : "✓"} ${label} (${result.frameCount} frames, ${result.duration}ms)`
+  );
+  result.transitions.forEach(({ from, to, t }) => {
+    console.log(`    ${String(t).padStart(6)}ms  ${from} → ${to}`);
+  });
+  mismatches.forEach((mismatch) => console.log(`    mismatch: ${mismatch}`));
+
+  if (args.verbose) {
+    result.timeline.forEach(
+      ({ t, hands, state, chargingProgress, firingProgress, chargingPose, firingPose, recordedState }) => {
+        // Recorded sessions carry the live detector's state; flag frames where the replay disagrees
+        const live = recordedState && recordedState !== state ? `  live=${recordedState}` : "";
+        console.log(
+          `    ${String(t).padStart(6)}ms  hands=${hands}  ${state.padEnd(11)} charge=${chargingProgress.toFixed(2)} fire=${firingProgress.toFixed(2)}${describePose("pose", chargingPose)}${describePose("firing", firingPose)}${live}`
+        );
+      }
+    );
+  }
+});
+
+if (failures > 0) {
+  console.error(`${failures} sequence(s) failed`);
+  process.exit(1);
+}